@@ -1,18 +1,42 @@
 #!/usr/bin/env node
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { completable } from "@modelcontextprotocol/sdk/server/completable.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { RootsListChangedNotificationSchema, SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
-import { AidlManager } from "./src/aidl-manager.js";
+import { AidlPrompts } from "./src/aidl-prompts.js";
+import { EXPORT_FORMATS } from "./src/aidl-exporter.js";
+import { NUMBERING_MODES } from "./src/adr-importer.js";
+import { CRITERION_STATES, REVIEW_OUTCOMES, REVIEW_VERDICTS } from "./src/aidl-manager.js";
+import { ManagerPool, WorkspaceRegistry } from "./src/workspace-registry.js";
+import { HttpServer } from "./src/http-server.js";
+import { AidlCli } from "./src/cli.js";
+import { AidlSchema } from "./src/aidl-schema.js";
+import { ProjectConfig } from "./src/project-config.js";
 
-// Create the MCP server
-const server = new McpServer({
-  name: "vibe_coding_enhanced",
-  version: "1.0.0"
+// Storage root from `--base-dir <path>` or VCE_BASE_DIR (the flag wins)
+const cliArgs = process.argv.slice(2);
+const baseDirFlag = cliArgs.indexOf("--base-dir");
+if (baseDirFlag >= 0 && !cliArgs[baseDirFlag + 1]) {
+  console.error("--base-dir needs a path");
+  process.exit(1);
+}
+const baseDir = baseDirFlag >= 0 ? cliArgs.splice(baseDirFlag, 2)[1] : process.env.VCE_BASE_DIR;
+
+// One AIDL manager per storage directory, shared by every client session
+const pool = new ManagerPool();
+
+// Custom fields of the default workspace's config are advertised in the
+// aidl_create and aidl_update schemas so clients can discover them; every
+// manager still checks them against its own workspace's config
+const defaultConfig = await ProjectConfig.load(new WorkspaceRegistry({ baseDir, pool }).defaultBaseDir()).catch((error) => {
+  console.error("Invalid project config:", error.message);
+  return ProjectConfig.resolve();
 });
 
-// Initialize AIDL manager
-const aidlManager = new AidlManager();
+// Optional workspace argument shared by every tool
+const workspaceArg = z.string().optional().describe("Workspace (MCP root name, URI or path) to operate on; defaults to the first root or the configured storage root");
 
 // Error codes
 const ErrorCodes = {
@@ -42,262 +66,1145 @@ function handleError(error, defaultCode = ErrorCodes.E_IO) {
   };
 }
 
-// 1. aidl_create - Create a new AIDL
-server.registerTool(
-  "aidl_create",
-  {
-    title: "Create AIDL",
-    description: "Create a new Agent Important Decision Log entry",
-    inputSchema: {
-      title: z.string().describe("One-sentence summary of the decision (preferably starting with a verb)"),
-      id: z.string().regex(/^[a-z][a-z0-9_]{2,64}$/).describe("Unique identifier: lowercase letters, numbers, underscores only"),
-      context: z.string().describe("Business goals, current situation, constraints, and triggering issues"),
-      decision: z.string().describe("What was chosen, scope, non-goals, and boundaries"),
-      rationale: z.string().describe("Key drivers and trade-offs behind the decision"),
-      assumptions: z.array(z.string()).describe("Assumptions this decision is based on"),
-      risks: z.record(z.object({
-        probability: z.enum(["LOW", "MED", "HIGH"]),
-        impact: z.enum(["LOW", "MED", "HIGH"]),
-        mitigation: z.string()
-      })).describe("Risk assessment with mitigation strategies"),
-      cost: z.object({
-        one_off: z.array(z.string()).describe("One-time costs"),
-        ongoing: z.array(z.string()).describe("Ongoing costs")
-      }),
-      consequences: z.object({
-        positive: z.array(z.string()).describe("Positive outcomes"),
-        negative: z.array(z.string()).describe("Negative impacts or trade-offs")
-      }),
-      expected_result: z.array(z.string()).describe("Success criteria and acceptance standards")
-    }
-  },
-  async (params) => {
-    try {
-      const result = await aidlManager.create(params);
-      return {
-        content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
-      };
-    } catch (error) {
-      const errorResult = handleError(error);
-      return {
-        content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
-        isError: true
-      };
+// Create an MCP server for one client session; sessions share the manager pool
+function createServer() {
+  const server = new McpServer({
+    name: "vibe_coding_enhanced",
+    version: "1.0.0"
+  });
+
+  // Workspaces of this session (its MCP roots); the default one serves resources and prompts
+  const workspaces = new WorkspaceRegistry({ baseDir, pool });
+
+  // 1. aidl_create - Create a new AIDL
+  server.registerTool(
+    "aidl_create",
+    {
+      title: "Create AIDL",
+      description: "Create a new Agent Important Decision Log entry. Custom fields declared in the workspace's config (custom_fields) are extra arguments; the ones of the default workspace are listed here, and every workspace checks them against its own config",
+      inputSchema: z.object({
+        ...AidlSchema.createShape(defaultConfig.custom_fields),
+        workspace: workspaceArg
+      }).passthrough()
+    },
+    async ({ workspace, ...params }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.create(params);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
     }
-  }
-);
-
-// 2. aidl_get - Get AIDL by ID
-server.registerTool(
-  "aidl_get",
-  {
-    title: "Get AIDL",
-    description: "Retrieve an AIDL by its ID",
-    inputSchema: {
-      id: z.string().describe("AIDL identifier")
-    }
-  },
-  async ({ id }) => {
-    try {
-      const result = await aidlManager.get(id);
-      return {
-        content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
-      };
-    } catch (error) {
-      const errorResult = handleError(error);
-      return {
-        content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
-        isError: true
-      };
+  );
+
+  // 2. aidl_get - Get AIDL by ID
+  server.registerTool(
+    "aidl_get",
+    {
+      title: "Get AIDL",
+      description: "Retrieve an AIDL by its ID, including its status history (and optionally its open comments)",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier"),
+        include_comments: z.boolean().optional().describe("Also return the open comments of the discussion thread"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, include_comments, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.get(id, { include_comments });
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
     }
-  }
-);
-
-// 3. aidl_search - Search AIDLs by title
-server.registerTool(
-  "aidl_search",
-  {
-    title: "Search AIDL",
-    description: "Search AIDLs by title (case-insensitive)",
-    inputSchema: {
-      keyword: z.string().describe("Search keyword for title matching")
-    }
-  },
-  async ({ keyword }) => {
-    try {
-      const result = await aidlManager.search(keyword);
-      return {
-        content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
-      };
-    } catch (error) {
-      const errorResult = handleError(error);
-      return {
-        content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
-        isError: true
-      };
+  );
+
+  // 3. aidl_search - Search AIDLs by title
+  server.registerTool(
+    "aidl_search",
+    {
+      title: "Search AIDL",
+      description: "Search AIDLs by title (case-insensitive), optionally filtered by status, tags, components and owners",
+      inputSchema: {
+        keyword: z.string().describe("Search keyword for title matching"),
+        status: z.enum(["PROPOSED", "ACCEPTED", "REJECTED", "FINISHED", "FAILED", "SUPERSEDED"]).optional(),
+        tags: z.array(z.string()).optional().describe("Only AIDLs carrying all of these tags"),
+        components: z.array(z.string()).optional().describe("Only AIDLs covering all of these components"),
+        owners: z.array(z.string()).optional().describe("Only AIDLs owned by all of these owners"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ keyword, workspace, ...filters }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.search(keyword, filters);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
     }
-  }
-);
-
-// 4. aidl_detail_search - Full-text search
-server.registerTool(
-  "aidl_detail_search",
-  {
-    title: "Detail Search AIDL",
-    description: "Full-text search across all AIDL content",
-    inputSchema: {
-      keyword: z.string().describe("Search keyword for full-text matching")
-    }
-  },
-  async ({ keyword }) => {
-    try {
-      const result = await aidlManager.detailSearch(keyword);
-      return {
-        content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
-      };
-    } catch (error) {
-      const errorResult = handleError(error);
-      return {
-        content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
-        isError: true
-      };
+  );
+
+  // 4. aidl_detail_search - Full-text search
+  server.registerTool(
+    "aidl_detail_search",
+    {
+      title: "Detail Search AIDL",
+      description: "Ranked full-text search across all AIDL content. Supports quoted phrases, AND/OR/NOT (or -term), parentheses and field-scoped terms such as risk:latency or decision:\"postgres\" (fields: title, context, decision, rationale, assumption, risk, consequence, criteria, cost)",
+      inputSchema: {
+        keyword: z.string().describe("Search query"),
+        page: z.number().int().min(1).default(1).describe("Page number"),
+        page_size: z.number().int().min(1).max(100).default(20).describe("Items per page"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ keyword, page, page_size, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.detailSearch(keyword, { page, page_size });
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
     }
-  }
-);
-
-// 5. aidl_update_status - Update AIDL status
-server.registerTool(
-  "aidl_update_status",
-  {
-    title: "Update AIDL Status",
-    description: "Update the status of an AIDL (cannot directly set to SUPERSEDED)",
-    inputSchema: {
-      id: z.string().describe("AIDL identifier"),
-      status: z.enum(["PROPOSED", "ACCEPTED", "REJECTED", "FINISHED", "FAILED"]).describe("New status")
-    }
-  },
-  async ({ id, status }) => {
-    try {
-      const result = await aidlManager.updateStatus(id, status);
-      return {
-        content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
-      };
-    } catch (error) {
-      const errorResult = handleError(error);
-      return {
-        content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
-        isError: true
-      };
+  );
+
+  // 5. aidl_update_status - Update AIDL status
+  server.registerTool(
+    "aidl_update_status",
+    {
+      title: "Update AIDL Status",
+      description: "Update the status of an AIDL following the configured transition table (cannot directly set to SUPERSEDED; ACCEPTED requires the review quorum, see aidl_review; FINISHED and FAILED require resolved acceptance criteria, see aidl_update_criteria)",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier"),
+        status: z.enum(["PROPOSED", "ACCEPTED", "REJECTED", "FINISHED", "FAILED"]).describe("New status"),
+        reason: z.string().optional().describe("Why the status is changing (recorded in status history)"),
+        author: z.string().optional().describe("Who made this change (recorded in revision history)"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, status, reason, author, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.updateStatus(id, status, { author, reason });
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
     }
-  }
-);
-
-// 6. aidl_supersede - Mark AIDL as superseded
-server.registerTool(
-  "aidl_supersede",
-  {
-    title: "Supersede AIDL",
-    description: "Mark an AIDL as superseded by another",
-    inputSchema: {
-      id: z.string().describe("AIDL identifier to supersede"),
-      superseded_by: z.string().describe("ID or ADR number of the superseding AIDL")
-    }
-  },
-  async ({ id, superseded_by }) => {
-    try {
-      const result = await aidlManager.supersede(id, superseded_by);
-      return {
-        content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
-      };
-    } catch (error) {
-      const errorResult = handleError(error);
-      return {
-        content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
-        isError: true
-      };
+  );
+
+  // 6. aidl_supersede - Mark AIDL as superseded
+  server.registerTool(
+    "aidl_supersede",
+    {
+      title: "Supersede AIDL",
+      description: "Mark an AIDL as superseded by another (links both records; rejects cycles and rejected, failed or superseded successors)",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier to supersede"),
+        superseded_by: z.string().describe("ID or ADR number of the superseding AIDL"),
+        author: z.string().optional().describe("Who made this change (recorded in revision history)"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, superseded_by, author, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.supersede(id, superseded_by, { author });
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
     }
-  }
-);
-
-// 7. aidl_update - Update AIDL fields
-server.registerTool(
-  "aidl_update",
-  {
-    title: "Update AIDL",
-    description: "Update editable fields of an AIDL",
-    inputSchema: {
-      id: z.string().describe("AIDL identifier"),
-      title: z.string().optional(),
-      context: z.string().optional(),
-      decision: z.string().optional(),
-      rationale: z.string().optional(),
-      assumptions: z.array(z.string()).optional(),
-      risks: z.record(z.object({
-        probability: z.enum(["LOW", "MED", "HIGH"]),
-        impact: z.enum(["LOW", "MED", "HIGH"]),
-        mitigation: z.string()
-      })).optional(),
-      cost: z.object({
-        one_off: z.array(z.string()),
-        ongoing: z.array(z.string())
-      }).optional(),
-      consequences: z.object({
-        positive: z.array(z.string()),
-        negative: z.array(z.string())
-      }).optional(),
-      expected_result: z.array(z.string()).optional()
-    }
-  },
-  async (params) => {
-    try {
-      const result = await aidlManager.update(params);
-      return {
-        content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
-      };
-    } catch (error) {
-      const errorResult = handleError(error);
-      return {
-        content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
-        isError: true
-      };
+  );
+
+  // 7. aidl_update - Update AIDL fields
+  server.registerTool(
+    "aidl_update",
+    {
+      title: "Update AIDL",
+      description: "Update editable fields of an AIDL, including the custom fields declared in the workspace's config (custom_fields). Changing its content or reviewers outdates the reviews given so far",
+      inputSchema: z.object({
+        ...AidlSchema.updateShape(defaultConfig.custom_fields),
+        workspace: workspaceArg
+      }).passthrough()
+    },
+    async ({ workspace, ...params }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.update(params);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 8. aidl_list - List AIDLs with filtering and pagination
+  server.registerTool(
+    "aidl_list",
+    {
+      title: "List AIDLs",
+      description: "List AIDLs with optional filtering and pagination",
+      inputSchema: {
+        status: z.enum(["PROPOSED", "ACCEPTED", "REJECTED", "FINISHED", "FAILED", "SUPERSEDED"]).optional(),
+        from: z.string().optional().describe("Start date (ISO 8601)"),
+        to: z.string().optional().describe("End date (ISO 8601)"),
+        tags: z.array(z.string()).optional().describe("Only AIDLs carrying all of these tags"),
+        components: z.array(z.string()).optional().describe("Only AIDLs covering all of these components"),
+        owners: z.array(z.string()).optional().describe("Only AIDLs owned by all of these owners"),
+        needs_review: z.boolean().optional().describe("Only AIDLs flagged (true) or not flagged (false) as needing review because an assumption was invalidated"),
+        page: z.number().int().min(1).default(1).describe("Page number"),
+        page_size: z.number().int().min(1).max(100).default(20).describe("Items per page"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ workspace, ...params }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.list(params);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 9. aidl_history - List revisions of an AIDL
+  server.registerTool(
+    "aidl_history",
+    {
+      title: "AIDL History",
+      description: "List the revisions of an AIDL with author, timestamp, git commit and branch, and changed fields",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.history(id);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 10. aidl_diff - Field-level diff between two revisions
+  server.registerTool(
+    "aidl_diff",
+    {
+      title: "Diff AIDL Revisions",
+      description: "Show a field-level diff between two revisions of an AIDL",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier"),
+        from: z.number().int().min(1).describe("Revision to compare from"),
+        to: z.number().int().min(1).optional().describe("Revision to compare to (defaults to the latest)"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, from, to, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.diff(id, from, to);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 11. aidl_revert - Restore an earlier revision
+  server.registerTool(
+    "aidl_revert",
+    {
+      title: "Revert AIDL",
+      description: "Restore the fields of an earlier revision of an AIDL as a new revision",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier"),
+        revision: z.number().int().min(1).describe("Revision to restore"),
+        author: z.string().optional().describe("Who made this change (recorded in revision history)"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, revision, author, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.revert(id, revision, { author });
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 12. aidl_graph - Relation graph of decisions
+  server.registerTool(
+    "aidl_graph",
+    {
+      title: "AIDL Graph",
+      description: "Return the relation graph (depends_on, amends, relates_to, conflicts_with, superseded_by) of one AIDL's neighbourhood or the whole log, as JSON plus Mermaid and DOT text",
+      inputSchema: {
+        id: z.string().optional().describe("AIDL identifier to centre on (omit for the whole log)"),
+        depth: z.number().int().min(1).max(10).default(1).describe("Number of hops to include around the AIDL"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ workspace, ...params }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.graph(params);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 13. aidl_lineage - Supersede chain of an AIDL
+  server.registerTool(
+    "aidl_lineage",
+    {
+      title: "AIDL Lineage",
+      description: "Walk the supersede chain from any AIDL to its latest successor, including the records it replaced (in_force is true only when that successor is ACCEPTED or FINISHED)",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.lineage(id);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 14. aidl_doctor - Consistency check and index rebuild
+  server.registerTool(
+    "aidl_doctor",
+    {
+      title: "AIDL Doctor",
+      description: "Check index.json against the markdown files (orphans, missing files, mismatches, duplicate numbers, temp files); with fix, rebuild index.json from the markdown files",
+      inputSchema: {
+        fix: z.boolean().default(false).describe("Remove temp files and rebuild index.json from the markdown files"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ workspace, ...params }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.doctor(params);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 15. aidl_tags - Existing labels with usage counts
+  server.registerTool(
+    "aidl_tags",
+    {
+      title: "AIDL Tags",
+      description: "List existing tags (or components / owners) with usage counts, so new AIDLs reuse them instead of inventing near-duplicates",
+      inputSchema: {
+        field: z.enum(["tags", "components", "owners"]).default("tags").describe("Which labels to list"),
+        status: z.enum(["PROPOSED", "ACCEPTED", "REJECTED", "FINISHED", "FAILED", "SUPERSEDED"]).optional().describe("Only count AIDLs with this status"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ workspace, ...params }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.labels(params);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 16. aidl_export - Export the decision log for readers without an MCP client
+  server.registerTool(
+    "aidl_export",
+    {
+      title: "Export AIDLs",
+      description: "Export the decision log (in ADR-number order) as a static HTML site with search, a single DECISIONS.md, JSON or CSV. Accepts the same filters as aidl_list",
+      inputSchema: {
+        format: z.enum(EXPORT_FORMATS).describe("html (directory with index.html and one page per decision), markdown (DECISIONS.md), json or csv"),
+        output: z.string().optional().describe("Output directory (html) or file path inside the workspace, relative to its root; defaults to .vce/export/"),
+        status: z.enum(["PROPOSED", "ACCEPTED", "REJECTED", "FINISHED", "FAILED", "SUPERSEDED"]).optional(),
+        from: z.string().optional().describe("Start date (ISO 8601)"),
+        to: z.string().optional().describe("End date (ISO 8601)"),
+        tags: z.array(z.string()).optional().describe("Only AIDLs carrying all of these tags"),
+        components: z.array(z.string()).optional().describe("Only AIDLs covering all of these components"),
+        owners: z.array(z.string()).optional().describe("Only AIDLs owned by all of these owners"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ workspace, ...params }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.export(params);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 17. aidl_import - Import adr-tools, MADR and Nygard-style ADRs
+  server.registerTool(
+    "aidl_import",
+    {
+      title: "Import ADRs",
+      description: "Import existing ADR markdown files (adr-tools, MADR, Nygard) from a directory such as doc/adr. Maps title, status, date, context, decision, consequences and supersede links onto AIDLs. Consequences not marked good or bad are imported as positive and listed per decision in unclassified_consequences, to be reclassified with aidl_update. Run with dry_run first to see what would be imported",
+      inputSchema: {
+        directory: z.string().describe("Directory containing the ADR markdown files (relative to the workspace root, e.g. doc/adr)"),
+        numbering: z.enum(NUMBERING_MODES).default("keep").describe("keep the original ADR numbers or remap them after the existing ones"),
+        dry_run: z.boolean().default(false).describe("Only report what would be imported"),
+        author: z.string().optional().describe("Who ran the import (recorded in revision history)"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ workspace, ...params }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.importAdrs(params);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 18. aidl_workspaces - Workspaces this server can operate on
+  server.registerTool(
+    "aidl_workspaces",
+    {
+      title: "AIDL Workspaces",
+      description: "List the workspaces (MCP roots) whose decision logs this server can operate on, with the storage directory of each",
+      inputSchema: {}
+    },
+    async (_args, extra) => {
+      try {
+        await workspaces.settled(extra);
+        const result = { workspaces: workspaces.list() };
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 19. aidl_review - Record a reviewer's verdict on a PROPOSED AIDL
+  server.registerTool(
+    "aidl_review",
+    {
+      title: "Review AIDL",
+      description: "Record a reviewer's verdict (approve, request_changes or reject) on a PROPOSED AIDL. ACCEPTED requires the configured quorum of approvals (by default, every assigned reviewer and at least one named reviewer) and no outstanding objections",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier"),
+        verdict: z.enum(REVIEW_VERDICTS).describe("Review verdict"),
+        comment: z.string().optional().describe("Review comment"),
+        reviewer: z.string().optional().describe("Who is reviewing (required to approve; must be one of the AIDL's reviewers when it has any)"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, verdict, comment, reviewer, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.review(id, verdict, { reviewer, comment });
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 20. aidl_comment - Add a comment to the discussion thread of an AIDL
+  server.registerTool(
+    "aidl_comment",
+    {
+      title: "Comment on AIDL",
+      description: "Add a comment to the append-only discussion thread of an AIDL (without rewriting the record), optionally replying to another comment or anchored to a section such as risks or decision",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier"),
+        body: z.string().describe("Comment text"),
+        reply_to: z.number().int().positive().optional().describe("comment_id of the comment this replies to"),
+        anchor: z.string().optional().describe("Record section the comment is about (e.g. decision, risks, or a custom field)"),
+        author: z.string().optional().describe("Who is commenting"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, body, reply_to, anchor, author, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.addComment(id, { body, reply_to, anchor, author });
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 21. aidl_comments - List the comments of an AIDL
+  server.registerTool(
+    "aidl_comments",
+    {
+      title: "List AIDL Comments",
+      description: "List the discussion thread of an AIDL: open comments by default, optionally including resolved ones or only those anchored to one section",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier"),
+        include_resolved: z.boolean().optional().describe("Also list resolved comments"),
+        anchor: z.string().optional().describe("Only comments anchored to this section"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, include_resolved, anchor, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.listComments(id, { include_resolved, anchor });
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 22. aidl_resolve_comment - Resolve a comment and its replies
+  server.registerTool(
+    "aidl_resolve_comment",
+    {
+      title: "Resolve AIDL Comment",
+      description: "Resolve a comment on an AIDL, closing it together with its replies (the comment itself is kept)",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier"),
+        comment_id: z.number().int().positive().describe("Comment to resolve"),
+        author: z.string().optional().describe("Who resolved it"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, comment_id, author, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.resolveComment(id, comment_id, { author });
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
     }
+  );
+
+  // 23. aidl_update_criteria - Record whether acceptance criteria were met
+  server.registerTool(
+    "aidl_update_criteria",
+    {
+      title: "Update AIDL Acceptance Criteria",
+      description: "Set acceptance criteria of an AIDL to pending, met or not_met with optional evidence (text or link). FINISHED requires every criterion resolved; FAILED requires at least one not met",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier"),
+        criteria: z.array(z.object({
+          criterion_id: z.string().describe("Criterion ID, e.g. AC1"),
+          state: z.enum(CRITERION_STATES).optional(),
+          evidence: z.string().optional().describe("How it was verified (text or link)")
+        })).min(1).describe("Criteria to update"),
+        author: z.string().optional().describe("Who made this change (recorded in revision history)"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, criteria, author, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.updateCriteria(id, criteria, { author });
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 24. aidl_risks - Risk register and probability/impact matrix across the log
+  server.registerTool(
+    "aidl_risks",
+    {
+      title: "AIDL Risk Register",
+      description: "Aggregate the risks of many AIDLs (ACCEPTED ones by default; pass status to include PROPOSED or others) into a 3x3 probability/impact matrix, listing HIGH/HIGH risks, empty or boilerplate mitigations and overdue re-assessments",
+      inputSchema: {
+        status: z.array(z.enum(["PROPOSED", "ACCEPTED", "REJECTED", "FINISHED", "FAILED", "SUPERSEDED"])).optional().describe("Only AIDLs with these statuses (default: ACCEPTED)"),
+        from: z.string().optional().describe("Start date (ISO 8601)"),
+        to: z.string().optional().describe("End date (ISO 8601)"),
+        tags: z.array(z.string()).optional().describe("Only AIDLs carrying all of these tags"),
+        components: z.array(z.string()).optional().describe("Only AIDLs covering all of these components"),
+        owners: z.array(z.string()).optional().describe("Only AIDLs owned by all of these owners"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ workspace, ...filters }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.risks(filters);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 25. aidl_assumptions - Shared assumptions and the decisions relying on them
+  server.registerTool(
+    "aidl_assumptions",
+    {
+      title: "AIDL Assumptions",
+      description: "List the shared assumptions (with stable IDs such as A3) and the AIDLs relying on each, so new decisions can reuse them",
+      inputSchema: {
+        status: z.enum(["valid", "invalid"]).optional().describe("Only valid or only invalidated assumptions"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ status, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.listAssumptions({ status });
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 26. aidl_invalidate_assumption - Mark an assumption false and flag dependent decisions
+  server.registerTool(
+    "aidl_invalidate_assumption",
+    {
+      title: "Invalidate Assumption",
+      description: "Mark a shared assumption as invalid with a reason; every PROPOSED or ACCEPTED AIDL relying on it is flagged as needing review (see aidl_list with needs_review)",
+      inputSchema: {
+        assumption_id: z.string().regex(/^A\d+$/).describe("Assumption ID, e.g. A3"),
+        reason: z.string().describe("Why the assumption no longer holds"),
+        author: z.string().optional().describe("Who made this change (recorded in revision history)"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ assumption_id, reason, author, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.invalidateAssumption(assumption_id, { reason, author });
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 27. aidl_due_for_review - Decisions whose scheduled review is overdue or upcoming
+  server.registerTool(
+    "aidl_due_for_review",
+    {
+      title: "AIDLs Due for Review",
+      description: "List decisions whose review_by date has passed (overdue) or falls within the next days (upcoming); rejected, failed and superseded decisions are skipped",
+      inputSchema: {
+        within_days: z.number().int().min(0).default(30).describe("How many days ahead counts as upcoming"),
+        tags: z.array(z.string()).optional().describe("Only AIDLs carrying all of these tags"),
+        components: z.array(z.string()).optional().describe("Only AIDLs covering all of these components"),
+        owners: z.array(z.string()).optional().describe("Only AIDLs owned by all of these owners"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ workspace, ...params }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.dueForReview(params);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 28. aidl_record_review - Record that a scheduled review happened
+  server.registerTool(
+    "aidl_record_review",
+    {
+      title: "Record Scheduled Review",
+      description: "Record that a scheduled review of a decision happened: reaffirm or amend moves the next review date (next_review_by, or today plus the review interval); supersede retires the decision in favour of superseded_by. Use aidl_update for the amendments themselves",
+      inputSchema: {
+        id: z.string().describe("AIDL identifier"),
+        outcome: z.enum(REVIEW_OUTCOMES).describe("Review outcome"),
+        notes: z.string().optional().describe("What the review found"),
+        next_review_by: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe("Next review date (YYYY-MM-DD) instead of today plus the interval"),
+        superseded_by: z.string().optional().describe("ID or ADR number of the superseding AIDL (supersede outcome)"),
+        reviewer: z.string().optional().describe("Who reviewed the decision"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ id, workspace, ...params }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.recordReview(id, params);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 29. aidl_for_path - Decisions governing repository paths
+  server.registerTool(
+    "aidl_for_path",
+    {
+      title: "AIDLs for Path",
+      description: "Find the decisions governing files or directories before editing them: returns the AIDLs (ACCEPTED by default) whose declared paths match any of the given paths, most specific match first",
+      inputSchema: {
+        paths: z.array(z.string()).min(1).describe("Repository paths, relative to the workspace root or absolute"),
+        status: z.enum(["PROPOSED", "ACCEPTED", "REJECTED", "FINISHED", "FAILED", "SUPERSEDED"]).default("ACCEPTED").describe("Status of the decisions to match"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ paths, workspace, ...params }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.forPath(paths, params);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 30. aidl_check_paths - Governed paths that match no file any more
+  server.registerTool(
+    "aidl_check_paths",
+    {
+      title: "Check Governed Paths",
+      description: "Report declared paths and globs that no longer match any file in the working tree (e.g. after a rename; in a git repository, files ignored by git do not count), for decisions that are not rejected, failed or superseded",
+      inputSchema: {
+        workspace: workspaceArg
+      }
+    },
+    async ({ workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.checkPaths();
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 31. aidl_changes_since - Decisions changed since a git ref or a date
+  server.registerTool(
+    "aidl_changes_since",
+    {
+      title: "AIDL Changes Since",
+      description: "List the decisions created, re-statused or edited since a git commit, tag or branch (e.g. main, to see what this branch changed) or since a date, with a markdown summary ready to paste into a PR description. Reads the local git repository only",
+      inputSchema: {
+        since: z.string().min(1).describe("Commit SHA, tag or branch, or a date (YYYY-MM-DD or ISO 8601 timestamp)"),
+        workspace: workspaceArg
+      }
+    },
+    async ({ since, workspace }, extra) => {
+      try {
+        const aidlManager = await workspaces.get(workspace, extra);
+        const result = await aidlManager.changesSince(since);
+        return {
+          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        const errorResult = handleError(error);
+        return {
+          content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Complete an AIDL ID argument from the existing IDs (default workspace)
+  async function completeAidlId(value) {
+    const index = await (await workspaces.get()).getIndex();
+    return Object.keys(index.items).filter(id => id.startsWith(value ?? ""));
   }
-);
-
-// 8. aidl_list - List AIDLs with filtering and pagination
-server.registerTool(
-  "aidl_list",
-  {
-    title: "List AIDLs",
-    description: "List AIDLs with optional filtering and pagination",
-    inputSchema: {
-      status: z.enum(["PROPOSED", "ACCEPTED", "REJECTED", "FINISHED", "FAILED", "SUPERSEDED"]).optional(),
-      from: z.string().optional().describe("Start date (ISO 8601)"),
-      to: z.string().optional().describe("End date (ISO 8601)"),
-      page: z.number().int().min(1).default(1).describe("Page number"),
-      page_size: z.number().int().min(1).max(100).default(20).describe("Items per page")
-    }
-  },
-  async (params) => {
-    try {
-      const result = await aidlManager.list(params);
-      return {
-        content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
-      };
-    } catch (error) {
-      const errorResult = handleError(error);
-      return {
-        content: [{ type: "text", text: JSON.stringify(errorResult, null, 2) }],
-        isError: true
-      };
+
+  // Resources: aidl://index and aidl://{id}
+  server.registerResource(
+    "aidl_index",
+    "aidl://index",
+    {
+      title: "AIDL Index",
+      description: "Index of all Agent Important Decision Log entries",
+      mimeType: "application/json"
+    },
+    async (uri, extra) => ({
+      contents: [{
+        uri: uri.href,
+        mimeType: "application/json",
+        text: JSON.stringify(await (await workspaces.get(undefined, extra)).getIndex(), null, 2)
+      }]
+    })
+  );
+
+  server.registerResource(
+    "aidl_record",
+    new ResourceTemplate("aidl://{id}", {
+      list: async (extra) => {
+        const index = await (await workspaces.get(undefined, extra)).getIndex();
+        return {
+          resources: Object.values(index.items)
+            .sort((a, b) => a.adr_no - b.adr_no)
+            .map(item => ({
+              uri: `aidl://${item.id}`,
+              name: item.id,
+              title: `ADR-${item.adr_no}: ${item.title}`,
+              description: `Status: ${item.status}`,
+              mimeType: "text/markdown"
+            }))
+        };
+      },
+      complete: {
+        id: completeAidlId
+      }
+    }),
+    {
+      title: "AIDL Record",
+      description: "Rendered markdown of an AIDL",
+      mimeType: "text/markdown"
+    },
+    async (uri, { id }, extra) => ({
+      contents: [{
+        uri: uri.href,
+        mimeType: "text/markdown",
+        text: await (await workspaces.get(undefined, extra)).getMarkdown(id)
+      }]
+    })
+  );
+
+  // Prompts: drafting, reviewing and closing decisions (default workspace)
+  const prompts = async (extra) => new AidlPrompts(await workspaces.get(undefined, extra));
+
+  server.registerPrompt(
+    "aidl_draft",
+    {
+      title: "Draft AIDL",
+      description: "Draft a complete AIDL from a problem statement, with related decisions and existing tags pulled in",
+      argsSchema: {
+        problem: z.string().describe("Problem statement the decision should solve")
+      }
+    },
+    async ({ problem }, extra) => (await prompts(extra)).draft({ problem })
+  );
+
+  server.registerPrompt(
+    "aidl_review",
+    {
+      title: "Review AIDL",
+      description: "Critically review an existing AIDL and its linked decisions",
+      argsSchema: {
+        id: completable(z.string().describe("AIDL ID to review"), completeAidlId)
+      }
+    },
+    async ({ id }, extra) => (await prompts(extra)).review({ id })
+  );
+
+  server.registerPrompt(
+    "aidl_retrospective",
+    {
+      title: "AIDL Retrospective",
+      description: "Write a closing retrospective before moving an AIDL to FINISHED or FAILED",
+      argsSchema: {
+        id: completable(z.string().describe("AIDL ID to close"), completeAidlId),
+        outcome: completable(
+          z.string().optional().describe("Intended final status: FINISHED or FAILED"),
+          (value) => ["FINISHED", "FAILED"].filter(status => status.startsWith((value ?? "").toUpperCase()))
+        )
+      }
+    },
+    async ({ id, outcome }, extra) => (await prompts(extra)).retrospective({ id, outcome })
+  );
+
+  // Resource subscriptions and change notifications
+  const subscribedUris = new Set();
+
+  server.server.registerCapabilities({
+    resources: { subscribe: true, listChanged: true }
+  });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscribedUris.add(request.params.uri);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscribedUris.delete(request.params.uri);
+    return {};
+  });
+
+  // Workspaces follow the client's MCP roots. They are fetched on the next
+  // request that needs a workspace, as part of that request: over
+  // Streamable HTTP a server request only reaches the client on the
+  // stream of a request in progress.
+  function refreshRoots() {
+    if (server.server.getClientCapabilities()?.roots) {
+      workspaces.invalidateRoots(async (extra) => {
+        const { roots } = await server.server.listRoots(undefined, { relatedRequestId: extra.requestId });
+        // The default workspace may change, and with it the resource list
+        if (server.isConnected()) {
+          server.sendResourceListChanged();
+        }
+        return roots;
+      });
     }
   }
-);
 
-// Start the server
+  server.server.oninitialized = refreshRoots;
+  server.server.setNotificationHandler(RootsListChangedNotificationSchema, async () => refreshRoots());
+
+  // Resources describe the default workspace, so only its records are announced
+  const onChange = ({ baseDir: changedDir, ids }) => {
+    if (!server.isConnected() || !workspaces.isDefault(changedDir)) {
+      return;
+    }
+
+    server.sendResourceListChanged();
+
+    for (const uri of ["aidl://index", ...ids.map(id => `aidl://${id}`)]) {
+      if (subscribedUris.has(uri)) {
+        server.server.sendResourceUpdated({ uri }).catch((error) => {
+          console.error("Failed to send resource update:", error);
+        });
+      }
+    }
+  };
+
+  pool.on("change", onChange);
+  server.server.onclose = () => pool.off("change", onChange);
+
+  return server;
+}
+
+// Run a CLI subcommand (`list`, `get`, `search`, `status`, `supersede`,
+// `create`, `doctor`, `export`, `import`; see `help`) or, by default, start
+// the server; `--base-dir <path>` selects the storage root for either.
+// The server (`serve`) speaks stdio unless started with `--http [--port N]`,
+// which serves Streamable HTTP on localhost to several clients at once.
 async function main() {
+  const [command, ...args] = cliArgs;
+
+  if (AidlCli.handles(command)) {
+    const aidlManager = await new WorkspaceRegistry({ baseDir, pool }).get();
+    process.exitCode = await new AidlCli(aidlManager).run(command, args);
+    return;
+  }
+
+  if (command && command !== "serve" && !command.startsWith("--")) {
+    console.error(`Unknown command: ${command} (see 'help')`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { options } = AidlCli.parseArgs(command === "serve" ? args : cliArgs);
+  if (options.http) {
+    const httpServer = new HttpServer({
+      port: Number(options.port ?? process.env.VCE_HTTP_PORT ?? 3333),
+      token: process.env.VCE_HTTP_TOKEN,
+      createServer
+    });
+    const { port } = await httpServer.start();
+    console.error(`AIDL MCP Server listening on http://127.0.0.1:${port}/mcp`);
+    return;
+  }
+
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createServer().connect(transport);
   console.error("AIDL MCP Server running...");
 }
 
@@ -0,0 +1,470 @@
+import path from 'path';
+import matter from 'gray-matter';
+import { FileUtils } from './file-utils.js';
+
+/**
+ * How imported ADR numbers are assigned
+ */
+export const NUMBERING_MODES = ['keep', 'remap'];
+
+// ADR statuses (lowercased first word) mapped onto AIDL statuses
+const STATUS_MAP = {
+  draft: 'PROPOSED',
+  proposed: 'PROPOSED',
+  accepted: 'ACCEPTED',
+  approved: 'ACCEPTED',
+  rejected: 'REJECTED',
+  deprecated: 'FINISHED',
+  superseded: 'SUPERSEDED'
+};
+
+// Section headings (lowercased) mapped onto AIDL fields
+const SECTION_FIELDS = [
+  [/^(context|background|problem statement)/, 'context'],
+  [/consequences/, 'consequences'],
+  [/^status/, 'status'],
+  [/^decision( outcome)?$/, 'decision'],
+  [/^(rationale|justification|decision drivers|considered options|pros and cons)/, 'rationale']
+];
+
+// Files in an ADR directory that are not decisions
+const IGNORED_FILES = /^(readme|index|template|adr-template)\.md$/i;
+
+/**
+ * ADR Importer - Reads adr-tools, MADR and Nygard-style markdown ADRs
+ * and writes them into the decision log through the normal index
+ */
+export class AdrImporter {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  /**
+   * Import every ADR file in a directory (relative paths are relative to
+   * the workspace root), or only report what would be imported when
+   * `dry_run` is set
+   */
+  async import({ directory: given, numbering = 'keep', dry_run = false, author } = {}) {
+    if (!NUMBERING_MODES.includes(numbering)) {
+      const error = new Error(`Unknown numbering mode: ${numbering} (expected one of ${NUMBERING_MODES.join(', ')})`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    if (typeof given !== 'string' || !given.trim()) {
+      const error = new Error('An ADR directory is required');
+      error.code = 'E_INVALID';
+      throw error;
+    }
+
+    const directory = path.resolve(this.manager.workspaceRoot(), given);
+    if (!(await FileUtils.exists(directory))) {
+      const error = new Error(`ADR directory not found: ${directory}`);
+      error.code = 'E_NOT_FOUND';
+      throw error;
+    }
+
+    const adrs = [];
+    const skipped = [];
+    for (const file of (await FileUtils.listFiles(directory, '\\.md$')).sort()) {
+      if (IGNORED_FILES.test(file)) {
+        skipped.push({ file, reason: 'Not a decision record' });
+        continue;
+      }
+      const adr = AdrImporter.parse(file, await FileUtils.readFile(path.join(directory, file)));
+      if (!adr.title) {
+        skipped.push({ file, reason: 'No title heading found' });
+        continue;
+      }
+      adrs.push(adr);
+    }
+
+    if (dry_run) {
+      const plan = this.plan(adrs, await this.manager.getIndex(), numbering);
+      return this.report(plan, skipped, { directory, numbering, dry_run });
+    }
+
+    const plan = await this.manager.transaction(async (transaction) => {
+      const index = await transaction.readJsonFile(this.manager.indexPath);
+      const plan = this.plan(adrs, index, numbering);
+
+      if (plan.conflicts.length > 0) {
+        const error = new Error(`ADR numbers already in use: ${plan.conflicts.map(conflict => conflict.message).join('; ')} (use numbering "remap")`);
+        error.code = 'E_CONFLICT';
+        throw error;
+      }
+
+      for (const entry of plan.records) {
+        const item = this.manager.buildIndexItem(entry.data);
+        index.items[item.id] = item;
+        await this.manager.stageRecord(transaction, item, {
+          ...entry.data,
+          status_history: [this.manager.createStatusHistoryEntry(null, item.status, {
+            reason: `Imported from ${entry.file}`,
+            author
+          })]
+        }, 'import', author);
+      }
+
+      index.next_adr_seq = plan.next_adr_seq;
+      transaction.writeJsonFile(this.manager.indexPath, index);
+      return plan;
+    });
+
+    return this.report(plan, skipped, { directory, numbering, dry_run });
+  }
+
+  /**
+   * Summarize an import plan
+   */
+  report(plan, skipped, { directory, numbering, dry_run }) {
+    return {
+      ok: plan.conflicts.length === 0,
+      dry_run,
+      directory,
+      numbering,
+      imported: plan.records.map(entry => ({
+        file: entry.file,
+        id: entry.data.id,
+        original_no: entry.original_no,
+        adr_no: entry.data.adr_no,
+        title: entry.data.title,
+        status: entry.data.status,
+        date: entry.data.date,
+        superseded_by: entry.data.superseded_by,
+        ...(entry.adr.unclassified_consequences.length > 0
+          ? { unclassified_consequences: entry.adr.unclassified_consequences }
+          : {})
+      })),
+      skipped: [...skipped, ...plan.skipped],
+      conflicts: plan.conflicts,
+      warnings: plan.warnings
+    };
+  }
+
+  /**
+   * Assign IDs and ADR numbers and resolve supersede and amend links
+   */
+  plan(adrs, index, numbering) {
+    const records = [];
+    const skipped = [];
+    const conflicts = [];
+    const warnings = [];
+    const usedIds = new Set(Object.keys(index.items));
+    const usedNumbers = new Set(Object.values(index.items).map(item => Number(item.adr_no)));
+    let nextAdrNo = index.next_adr_seq;
+
+    const ordered = [...adrs].sort((a, b) => (a.number ?? Infinity) - (b.number ?? Infinity) || a.file.localeCompare(b.file));
+    const byOriginalNo = {};
+
+    for (const adr of ordered) {
+      const id = AdrImporter.deriveId(adr);
+      if (index.items[id]) {
+        skipped.push({ file: adr.file, reason: `AIDL with ID '${id}' already exists` });
+        continue;
+      }
+      const uniqueId = AdrImporter.uniqueId(id, usedIds);
+      usedIds.add(uniqueId);
+
+      let adrNo;
+      if (numbering === 'keep' && adr.number !== null) {
+        if (usedNumbers.has(adr.number)) {
+          conflicts.push({ file: adr.file, adr_no: adr.number, message: `ADR-${adr.number} (${adr.file})` });
+        }
+        adrNo = adr.number;
+      } else {
+        while (usedNumbers.has(nextAdrNo)) {
+          nextAdrNo++;
+        }
+        adrNo = nextAdrNo++;
+      }
+      usedNumbers.add(adrNo);
+
+      for (const warning of adr.warnings) {
+        warnings.push(`${adr.file}: ${warning}`);
+      }
+
+      const entry = {
+        file: adr.file,
+        original_no: adr.number,
+        adr,
+        data: {
+          id: uniqueId,
+          adr_no: adrNo,
+          title: adr.title,
+          status: adr.status,
+          date: adr.date || this.manager.getCurrentDate(),
+          context: adr.context,
+          decision: adr.decision,
+          rationale: adr.rationale,
+          consequences: adr.consequences,
+          superseded_by: '',
+          supersedes: [],
+          relations: { amends: [] }
+        }
+      };
+      if (!adr.date) {
+        warnings.push(`${adr.file}: no date found, using today`);
+      }
+      if (adr.number !== null) {
+        byOriginalNo[adr.number] = entry;
+      }
+      records.push(entry);
+    }
+
+    // Links point at original numbers, so resolve them once everything is numbered
+    for (const entry of records) {
+      const target = entry.adr.superseded_by !== null ? byOriginalNo[entry.adr.superseded_by] : undefined;
+      if (target) {
+        entry.data.superseded_by = String(target.data.adr_no);
+        entry.data.status = 'SUPERSEDED';
+        target.data.supersedes.push(String(entry.data.adr_no));
+      } else if (entry.adr.superseded_by !== null) {
+        warnings.push(`${entry.file}: superseding ADR ${entry.adr.superseded_by} is not part of this import`);
+      }
+
+      for (const amendedNo of entry.adr.amends) {
+        if (byOriginalNo[amendedNo]) {
+          entry.data.relations.amends.push(byOriginalNo[amendedNo].data.id);
+        }
+      }
+    }
+
+    const highest = Math.max(0, ...usedNumbers);
+    return {
+      records,
+      skipped,
+      conflicts,
+      warnings,
+      next_adr_seq: Math.max(index.next_adr_seq, highest + 1)
+    };
+  }
+
+  /**
+   * Derive an AIDL ID (`^[a-z][a-z0-9_]{2,64}$`) from the file name or title
+   */
+  static deriveId(adr) {
+    const slugify = (text) => text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+
+    let id = slugify(path.basename(adr.file, '.md').replace(/^\d+[-_.\s]*/, '')) || slugify(adr.title);
+    if (!/^[a-z]/.test(id)) {
+      id = `adr_${id}`;
+    }
+    if (id.length < 3) {
+      id = `adr_${adr.number ?? id}`;
+    }
+    return id.slice(0, 65).replace(/_+$/, '');
+  }
+
+  /**
+   * Make an ID unique by appending a numeric suffix
+   */
+  static uniqueId(id, usedIds) {
+    if (!usedIds.has(id)) {
+      return id;
+    }
+    for (let suffix = 2; ; suffix++) {
+      const candidate = `${id.slice(0, 65 - String(suffix).length - 1)}_${suffix}`;
+      if (!usedIds.has(candidate)) {
+        return candidate;
+      }
+    }
+  }
+
+  /**
+   * Original ADR number referenced by a link or text such as
+   * `[2. Use X](0002-use-x.md)`, `ADR-0002` or `2. Use X`
+   */
+  static referencedNumber(text) {
+    const match = text.match(/\]\(\s*(?:[^)]*\/)?(\d+)[-_][^)]*\.md\s*\)/) ||
+      text.match(/\bADR[-\s]?0*(\d+)\b/i) ||
+      text.match(/\[\s*(\d+)\.\s/) ||
+      text.match(/\b(\d+)\.\s/);
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Parse one ADR file in adr-tools, Nygard or MADR layout
+   */
+  static parse(file, content) {
+    const parsed = matter(content);
+    const frontMatter = parsed.data || {};
+    const lines = parsed.content.replace(/<!--[\s\S]*?-->/g, '').split(/\r?\n/);
+    const warnings = [];
+
+    const adr = {
+      file,
+      number: null,
+      title: '',
+      status: null,
+      date: null,
+      context: '',
+      decision: '',
+      rationale: '',
+      consequences: { positive: [], negative: [] },
+      unclassified_consequences: [],
+      superseded_by: null,
+      amends: [],
+      warnings
+    };
+
+    // Split into sections; level-3 sections remember their level-2 parent
+    const preamble = [];
+    const sections = [];
+    let current = null;
+    let parent = null;
+    for (const line of lines) {
+      const heading = line.match(/^(#{1,3})\s+(.*?)\s*#*\s*$/);
+      if (heading && heading[1].length === 1 && !adr.title) {
+        adr.title = heading[2];
+      } else if (heading && heading[1].length > 1) {
+        current = { level: heading[1].length, heading: heading[2], parent: null, lines: [] };
+        if (current.level === 2) {
+          parent = current;
+        } else {
+          current.parent = parent;
+        }
+        sections.push(current);
+      } else if (current) {
+        current.lines.push(line);
+      } else {
+        preamble.push(line);
+      }
+    }
+
+    // "# 1. Title" (adr-tools) or "# ADR-0001: Title"
+    const numberedTitle = adr.title.match(/^(?:ADR[-\s]?0*(\d+)[.:]?|0*(\d+)[.:])\s+(.*)$/i);
+    if (numberedTitle) {
+      adr.number = Number(numberedTitle[1] ?? numberedTitle[2]);
+      adr.title = numberedTitle[3].replace(/^[-:]\s*/, '');
+    }
+    const numberedFile = file.match(/^0*(\d+)[-_.]/);
+    if (numberedFile) {
+      adr.number = Number(numberedFile[1]);
+    }
+
+    // Metadata lines such as "Date: 2020-01-01" or MADR's "* Status: accepted"
+    const metadata = {};
+    for (const line of preamble) {
+      const field = line.match(/^\s*(?:[-*]\s*)?\**(status|date|deciders)\**\s*:\s*(.*)$/i);
+      if (field) {
+        metadata[field[1].toLowerCase()] = field[2].trim();
+      }
+    }
+
+    // Link lines ("Amends ...", "Superseded by ...") may also sit above the first section
+    const statusLines = preamble.filter(line => /^\s*(amends|superseded by)\b/i.test(line));
+    if (frontMatter.status) {
+      statusLines.push(String(frontMatter.status));
+    }
+    if (metadata.status) {
+      statusLines.push(metadata.status);
+    }
+    adr.date = AdrImporter.normalizeDate(frontMatter.date ?? metadata.date);
+
+    const append = (field, text) => {
+      const trimmed = text.trim();
+      if (trimmed) {
+        adr[field] = adr[field] ? `${adr[field]}\n\n${trimmed}` : trimmed;
+      }
+    };
+
+    for (const section of sections) {
+      const heading = section.heading.toLowerCase();
+      const text = section.lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+      const field = SECTION_FIELDS.find(([pattern]) => pattern.test(heading))?.[1] ??
+        (section.parent ? SECTION_FIELDS.find(([pattern]) => pattern.test(section.parent.heading.toLowerCase()))?.[1] : undefined);
+
+      if (field === 'status') {
+        statusLines.push(...section.lines.filter(line => line.trim()));
+      } else if (field === 'consequences') {
+        const polarity = /positive|good|pros/.test(heading) ? 'positive' : /negative|bad|cons\b/.test(heading) ? 'negative' : null;
+        AdrImporter.parseConsequences(text, polarity, adr);
+      } else if (field === 'decision' && section.level === 3) {
+        append('decision', `**${section.heading}**\n${text}`);
+      } else if (field === 'context' || field === 'decision') {
+        append(field, text);
+      } else if (text) {
+        // Drivers, options and any other sections keep their heading in the rationale
+        append('rationale', `**${section.heading}**\n${text}`);
+      }
+    }
+
+    for (const line of statusLines) {
+      const word = line.replace(/^[\s*_-]+/, '').split(/[\s,.:;[\]]+/)[0].toLowerCase();
+      if (!adr.status && STATUS_MAP[word]) {
+        adr.status = STATUS_MAP[word];
+      }
+      if (/superseded by/i.test(line)) {
+        adr.superseded_by = AdrImporter.referencedNumber(line.replace(/^.*?superseded by/i, ''));
+      } else if (/^\s*amends\b/i.test(line)) {
+        const amended = AdrImporter.referencedNumber(line.replace(/^\s*amends/i, ''));
+        if (amended !== null) {
+          adr.amends.push(amended);
+        }
+      }
+    }
+    if (!adr.status) {
+      warnings.push(`unknown status ${statusLines.length > 0 ? `'${statusLines[0].trim()}'` : '(none)'}, imported as PROPOSED`);
+      adr.status = 'PROPOSED';
+    }
+    if (adr.status === 'SUPERSEDED' && adr.superseded_by === null) {
+      warnings.push('superseded without a resolvable "Superseded by" link');
+    }
+    if (adr.unclassified_consequences.length > 0) {
+      warnings.push(`${adr.unclassified_consequences.length} consequence(s) not marked good or bad, imported as positive (see unclassified_consequences)`);
+    }
+
+    return adr;
+  }
+
+  /**
+   * Sort consequence bullets (or paragraphs) into positive and negative.
+   * Ones marked neither way are kept as positive (the record has no third
+   * list) and also listed in `unclassified_consequences` for the report.
+   */
+  static parseConsequences(text, polarity, adr) {
+    const items = /^\s*[-*]\s/m.test(text)
+      ? text.split(/\n(?=\s*[-*]\s)/).map(item => item.replace(/^\s*[-*]\s+/, '').replace(/\s*\n\s*/g, ' ').trim())
+      : text.split(/\n\s*\n/).map(item => item.replace(/\s*\n\s*/g, ' ').trim());
+
+    const { consequences, unclassified_consequences: unclassified } = adr;
+    for (const item of items.filter(Boolean)) {
+      const good = item.match(/^(?:good|positive|pro)\b[,:]?\s*(?:because\s+)?(.*)$/i);
+      const bad = item.match(/^(?:bad|negative|con)\b[,:]?\s*(?:because\s+)?(.*)$/i);
+      if (good) {
+        consequences.positive.push(good[1] || item);
+      } else if (bad) {
+        consequences.negative.push(bad[1] || item);
+      } else if (polarity) {
+        consequences[polarity].push(item);
+      } else {
+        consequences.positive.push(item);
+        unclassified.push(item);
+      }
+    }
+  }
+
+  /**
+   * Normalize an ADR date (string or YAML Date) to YYYY-MM-DD
+   */
+  static normalizeDate(value) {
+    if (value instanceof Date) {
+      return value.toISOString().split('T')[0];
+    }
+    if (!value) {
+      return null;
+    }
+    const text = String(value).trim();
+    const iso = text.match(/\d{4}-\d{2}-\d{2}/);
+    if (iso) {
+      return iso[0];
+    }
+    const parsed = new Date(text);
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0];
+  }
+}
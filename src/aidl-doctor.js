@@ -0,0 +1,248 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { FileUtils } from './file-utils.js';
+
+/**
+ * AIDL Doctor - Finds drift between index.json and the markdown files
+ * and rebuilds the index from the markdown files on request
+ */
+export class AidlDoctor {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  /**
+   * Read index.json, reporting (instead of throwing) when it is unusable
+   */
+  async readIndex(issues) {
+    if (!(await FileUtils.exists(this.manager.indexPath))) {
+      return { next_adr_seq: 1, items: {}, missing: true };
+    }
+
+    try {
+      const index = await FileUtils.readJsonFile(this.manager.indexPath);
+      return { next_adr_seq: index.next_adr_seq || 1, items: index.items || {} };
+    } catch (error) {
+      issues.push({ type: 'invalid_index', message: error.message });
+      return { next_adr_seq: 1, items: {} };
+    }
+  }
+
+  /**
+   * Parse every markdown file in the AIDL directory
+   */
+  async readRecords(issues) {
+    const records = [];
+    const files = await FileUtils.listFiles(this.manager.aidlDir, '\\.md$');
+
+    for (const file of files) {
+      const filePath = path.join(this.manager.aidlDir, file);
+      const fileId = path.basename(file, '.md');
+
+      try {
+        const parsed = this.manager.parseMarkdown(await FileUtils.readFile(filePath));
+        if (parsed.id && parsed.id !== fileId) {
+          issues.push({
+            type: 'id_mismatch',
+            id: fileId,
+            file,
+            message: `Front matter id '${parsed.id}' does not match file name`
+          });
+        }
+        records.push({ ...parsed, id: fileId, file });
+      } catch (error) {
+        issues.push({ type: 'unparseable_file', id: fileId, file, message: error.message });
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Report consistency problems without changing anything
+   */
+  async check() {
+    const issues = [];
+    const index = await this.readIndex(issues);
+    const records = await this.readRecords(issues);
+    const recordIds = new Set(records.map(record => record.id));
+
+    if (index.missing && records.length > 0) {
+      issues.push({ type: 'missing_index', message: 'index.json does not exist' });
+    }
+
+    for (const record of records) {
+      const item = index.items[record.id];
+      if (!item) {
+        issues.push({ type: 'orphan_file', id: record.id, file: record.file, message: 'Markdown file has no index entry' });
+        continue;
+      }
+      if (record.status !== item.status) {
+        issues.push({
+          type: 'status_mismatch',
+          id: record.id,
+          message: `Front matter status '${record.status}' differs from index status '${item.status}'`
+        });
+      }
+      if (record.record.title !== item.title) {
+        issues.push({
+          type: 'title_mismatch',
+          id: record.id,
+          message: `Front matter title '${record.record.title}' differs from index title '${item.title}'`
+        });
+      }
+    }
+
+    for (const id of Object.keys(index.items)) {
+      if (!recordIds.has(id)) {
+        issues.push({ type: 'missing_file', id, message: `Index entry has no file ${id}.md` });
+      }
+    }
+
+    const idsByAdrNo = {};
+    for (const record of records) {
+      (idsByAdrNo[record.adr_no] ||= []).push(record.id);
+    }
+    for (const [adrNo, ids] of Object.entries(idsByAdrNo)) {
+      if (ids.length > 1) {
+        issues.push({ type: 'duplicate_adr_no', adr_no: Number(adrNo), ids, message: `ADR-${adrNo} is used by ${ids.join(', ')}` });
+      }
+    }
+
+    const highest = Math.max(0, ...this.usedAdrNumbers(index, records));
+    if (index.next_adr_seq <= highest) {
+      issues.push({
+        type: 'next_adr_seq_too_low',
+        message: `next_adr_seq is ${index.next_adr_seq} but ADR-${highest} is already in use`
+      });
+    }
+
+    for (const file of await FileUtils.listFiles(this.manager.aidlDir, '\\.tmp\\.')) {
+      issues.push({ type: 'temp_file', file, message: 'Leftover temporary file from an interrupted write' });
+    }
+
+    if (await FileUtils.exists(this.manager.journalPath)) {
+      issues.push({ type: 'pending_transaction', message: 'An interrupted transaction has not been rolled back yet' });
+    }
+
+    return {
+      ok: issues.length === 0,
+      summary: {
+        files: records.length,
+        index_items: Object.keys(index.items).length
+      },
+      issues
+    };
+  }
+
+  /**
+   * ADR numbers used by either the index or the markdown files
+   */
+  usedAdrNumbers(index, records) {
+    return [
+      ...Object.values(index.items).map(item => Number(item.adr_no)),
+      ...records.map(record => Number(record.adr_no))
+    ].filter(Number.isInteger);
+  }
+
+  /**
+   * Remove temp files and rebuild index.json from the markdown files
+   */
+  async fix() {
+    const before = await this.check();
+    const actions = [];
+
+    if (await FileUtils.recoverJournal(this.manager.journalPath)) {
+      actions.push('Rolled back an interrupted transaction');
+    }
+
+    for (const file of await FileUtils.listFiles(this.manager.aidlDir, '\\.tmp\\.')) {
+      await fs.unlink(path.join(this.manager.aidlDir, file));
+      actions.push(`Removed temp file ${file}`);
+    }
+
+    const index = await this.readIndex([]);
+    const records = (await this.readRecords([]))
+      .sort((a, b) => (a.adr_no - b.adr_no) || String(a.date).localeCompare(String(b.date)) || a.id.localeCompare(b.id));
+    const oldAdrNos = new Map(records.map(record => [record.id, String(record.adr_no)]));
+
+    // Keep the first owner of each ADR number and renumber the rest; numbers
+    // already handed out (next_adr_seq) are never reused
+    let nextAdrNo = Math.max(index.next_adr_seq, Math.max(0, ...records.map(record => Number(record.adr_no)).filter(Number.isInteger)) + 1);
+    const usedNumbers = new Set();
+    const renumbered = new Set();
+    for (const record of records) {
+      if (!Number.isInteger(record.adr_no) || usedNumbers.has(record.adr_no)) {
+        actions.push(`Renumbered ${record.id} from ADR-${record.adr_no} to ADR-${nextAdrNo}`);
+        record.adr_no = nextAdrNo++;
+        renumbered.add(record.id);
+      }
+      usedNumbers.add(record.adr_no);
+    }
+
+    // A superseded_by pointing at a duplicated number follows the owner
+    // whose supersedes list names the superseded record
+    const relinked = new Set();
+    for (const record of records) {
+      const owners = records.filter(owner => oldAdrNos.get(owner.id) === record.superseded_by);
+      const superseder = owners.length > 1
+        && owners.find(owner => owner.supersedes.includes(oldAdrNos.get(record.id)));
+      if (superseder && renumbered.has(superseder.id)) {
+        record.superseded_by = String(superseder.adr_no);
+        relinked.add(record.id);
+        actions.push(`Pointed ${record.id} at ADR-${superseder.adr_no} (${superseder.id}) as its superseder`);
+      }
+    }
+
+    const items = {};
+    for (const record of records) {
+      items[record.id] = this.manager.buildIndexItem({
+        ...record.record,
+        id: record.id,
+        adr_no: record.adr_no,
+        status: record.status,
+        date: record.date,
+        superseded_by: record.superseded_by,
+        supersedes: []
+      });
+    }
+
+    // Back-references are derived from the superseded_by links
+    for (const item of Object.values(items)) {
+      const supersederId = this.manager.findIdByAdrNo(items, item.superseded_by);
+      if (supersederId) {
+        items[supersederId].supersedes.push(String(item.adr_no));
+      }
+    }
+
+    await this.manager.transaction(async (transaction) => {
+      transaction.writeJsonFile(this.manager.indexPath, {
+        next_adr_seq: nextAdrNo,
+        items
+      });
+      actions.push(`Rebuilt index.json from ${records.length} markdown files`);
+
+      // Rewrite files whose number or supersession links changed
+      for (const record of records) {
+        const item = items[record.id];
+        const supersedesChanged = JSON.stringify(record.supersedes) !== JSON.stringify(item.supersedes);
+        if (renumbered.has(record.id) || relinked.has(record.id) || supersedesChanged) {
+          const markdown = this.manager.generateMarkdown({ ...record.record, ...item });
+          transaction.writeFile(path.join(this.manager.aidlDir, record.file), markdown);
+          actions.push(`Rewrote ${record.file}`);
+        }
+      }
+    });
+
+    await this.manager.rebuildSearchIndex();
+    actions.push('Rebuilt the search index');
+
+    const after = await this.check();
+    return {
+      ...after,
+      fixed: true,
+      issues_before: before.issues,
+      actions
+    };
+  }
+}
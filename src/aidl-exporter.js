@@ -0,0 +1,383 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { FileUtils } from './file-utils.js';
+
+/**
+ * Formats the decision log can be exported to
+ */
+export const EXPORT_FORMATS = ['html', 'markdown', 'json', 'csv'];
+
+// Default output (relative to the storage root) for each format
+const DEFAULT_OUTPUTS = {
+  html: path.join('export', 'site'),
+  markdown: path.join('export', 'DECISIONS.md'),
+  json: path.join('export', 'decisions.json'),
+  csv: path.join('export', 'decisions.csv')
+};
+
+const CSV_COLUMNS = [
+  'adr_no', 'id', 'title', 'status', 'date', 'superseded_by', 'supersedes',
+  'tags', 'components', 'owners', 'reviewers', 'paths', 'context', 'decision', 'rationale'
+];
+
+const STATUS_COLOURS = {
+  PROPOSED: '#1f6feb',
+  ACCEPTED: '#1a7f37',
+  REJECTED: '#6e7781',
+  FINISHED: '#8250df',
+  FAILED: '#cf222e',
+  SUPERSEDED: '#9a6700'
+};
+
+const STYLESHEET = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; color: #1f2328; line-height: 1.5; }
+a { color: #0969da; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: .4rem .6rem; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+.badge { display: inline-block; padding: .05rem .5rem; border-radius: 1rem; color: #fff; font-size: .8rem; font-weight: 600; }
+#search { width: 100%; padding: .5rem; margin: 1rem 0; font-size: 1rem; box-sizing: border-box; }
+.meta { color: #656d76; }
+`;
+
+/**
+ * AIDL Exporter - Writes the (filtered) decision log as a static HTML
+ * site, a combined DECISIONS.md, JSON or CSV
+ */
+export class AidlExporter {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  /**
+   * Export the AIDLs matching the `aidl_list` filters in ADR-number order
+   */
+  async export({ format, output, ...filters } = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      const error = new Error(`Unknown export format: ${format} (expected one of ${EXPORT_FORMATS.join(', ')})`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+
+    const index = await this.manager.getIndex();
+    const items = this.manager.filterItems(Object.values(index.items), filters)
+      .sort((a, b) => a.adr_no - b.adr_no);
+
+    const decisions = [];
+    for (const item of items) {
+      decisions.push({
+        ...(await this.manager.get(item.id)),
+        markdown: await this.manager.getMarkdown(item.id)
+      });
+    }
+
+    const target = await this.resolveOutput(output || path.join(this.manager.baseDir, DEFAULT_OUTPUTS[format]));
+    const files = format === 'html'
+      ? await this.writeSite(target, decisions)
+      : [await this.writeFile(target, this.render(format, decisions, filters))];
+
+    return {
+      ok: true,
+      format,
+      output: target,
+      count: decisions.length,
+      files
+    };
+  }
+
+  /**
+   * Resolve the output path against the workspace root and reject one
+   * that leads outside the workspace, directly or through a symlink, or
+   * into the storage directory (anywhere but its export/ folder)
+   */
+  async resolveOutput(output) {
+    const realpath = (dir) => fs.realpath(dir).catch(() => path.resolve(dir));
+    const root = await realpath(this.manager.workspaceRoot());
+    const storage = await realpath(this.manager.baseDir);
+    const target = path.resolve(this.manager.workspaceRoot(), output);
+
+    // Resolve symlinks in the part of the path that already exists
+    let existing = target;
+    let rest = '';
+    while (true) {
+      try {
+        existing = path.join(await fs.realpath(existing), rest);
+        break;
+      } catch (error) {
+        if (error.code !== 'ENOENT' || path.dirname(existing) === existing) {
+          throw error;
+        }
+        rest = path.join(path.basename(existing), rest);
+        existing = path.dirname(existing);
+      }
+    }
+
+    if (!AidlExporter.isInside(root, existing)) {
+      const error = new Error(`Export output '${output}' is outside the workspace ${root}`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    const exportDir = path.join(storage, 'export');
+    const inStorage = existing === storage || AidlExporter.isInside(storage, existing);
+    const inExportDir = existing === exportDir || AidlExporter.isInside(exportDir, existing);
+    if (inStorage && !inExportDir) {
+      const error = new Error(`Export output '${output}' would overwrite the decision log storage in ${storage} (only its export/ folder may be written)`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    return target;
+  }
+
+  /**
+   * Whether `child` lies strictly below the directory `parent`
+   */
+  static isInside(parent, child) {
+    const relative = path.relative(parent, child);
+    return Boolean(relative) && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+  }
+
+  /**
+   * Render a single-file format
+   */
+  render(format, decisions, filters) {
+    switch (format) {
+      case 'markdown':
+        return AidlExporter.toMarkdown(decisions);
+      case 'json':
+        return JSON.stringify({
+          exported_at: new Date().toISOString(),
+          filters,
+          count: decisions.length,
+          items: decisions.map(({ markdown, ...record }) => record)
+        }, null, 2);
+      case 'csv':
+        return AidlExporter.toCsv(decisions);
+    }
+  }
+
+  /**
+   * Write one export file and return its path
+   */
+  async writeFile(filePath, content) {
+    await FileUtils.writeFileAtomic(filePath, content);
+    return filePath;
+  }
+
+  /**
+   * Write the static site: an index page plus one page per decision
+   */
+  async writeSite(dir, decisions) {
+    const pageByAdrNo = {};
+    for (const decision of decisions) {
+      pageByAdrNo[decision.adr_no] = `${decision.id}.html`;
+    }
+
+    const files = [await this.writeFile(path.join(dir, 'index.html'), AidlExporter.indexPage(decisions, pageByAdrNo))];
+    for (const decision of decisions) {
+      files.push(await this.writeFile(
+        path.join(dir, pageByAdrNo[decision.adr_no]),
+        AidlExporter.decisionPage(decision, pageByAdrNo)
+      ));
+    }
+    return files;
+  }
+
+  /**
+   * Single concatenated markdown log
+   */
+  static toMarkdown(decisions) {
+    const toc = decisions
+      .map(decision => `- [ADR-${decision.adr_no}: ${decision.title}](#adr-${decision.adr_no}) — ${decision.status}`)
+      .join('\n');
+    const sections = decisions
+      .map(decision => `<a id="adr-${decision.adr_no}"></a>\n\n${decision.markdown.trim()}\n`);
+
+    return [
+      `# Decision Log\n\nExported ${new Date().toISOString().split('T')[0]} — ${decisions.length} decisions\n\n${toc}\n`,
+      ...sections
+    ].join('\n---\n\n');
+  }
+
+  /**
+   * CSV with one row per decision; list fields are joined with "; "
+   */
+  static toCsv(decisions) {
+    const quote = (value) => {
+      const text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const decision of decisions) {
+      rows.push(CSV_COLUMNS.map(column => quote(decision[column])).join(','));
+    }
+    return `${rows.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Escape text for HTML
+   */
+  static escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Coloured status badge
+   */
+  static badge(status) {
+    const colour = STATUS_COLOURS[status] || '#6e7781';
+    return `<span class="badge" style="background:${colour}">${AidlExporter.escapeHtml(status)}</span>`;
+  }
+
+  /**
+   * Escape inline text and render bold, code and links to exported ADRs
+   */
+  static inline(text, pageByAdrNo) {
+    return AidlExporter.escapeHtml(text)
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/`([^`]+)`/g, '<code>$1</code>')
+      .replace(/\bADR-(\d+)\b/g, (match, adrNo) => (
+        pageByAdrNo[adrNo] ? `<a href="${pageByAdrNo[adrNo]}">${match}</a>` : match
+      ));
+  }
+
+  /**
+   * Render the markdown body of a record (headings, nested bullet lists
+   * and paragraphs) as HTML
+   */
+  static markdownToHtml(markdown, pageByAdrNo) {
+    const html = [];
+    const openLists = [];
+    let paragraph = [];
+
+    const closeParagraph = () => {
+      if (paragraph.length > 0) {
+        html.push(`<p>${paragraph.join('<br>')}</p>`);
+        paragraph = [];
+      }
+    };
+    const closeLists = (depth = 0) => {
+      while (openLists.length > depth) {
+        openLists.pop();
+        html.push('</li></ul>');
+      }
+    };
+
+    for (const line of markdown.split('\n')) {
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      const bullet = line.match(/^(\s*)- (.*)$/);
+
+      if (heading) {
+        closeParagraph();
+        closeLists();
+        const level = Math.min(heading[1].length + 1, 6);
+        html.push(`<h${level}>${AidlExporter.inline(heading[2], pageByAdrNo)}</h${level}>`);
+      } else if (bullet) {
+        closeParagraph();
+        const depth = Math.floor(bullet[1].length / 2) + 1;
+        if (depth > openLists.length) {
+          while (openLists.length < depth) {
+            openLists.push(true);
+            html.push('<ul><li>');
+          }
+        } else {
+          closeLists(depth);
+          html.push('</li><li>');
+        }
+        const checkbox = bullet[2].match(/^\[([ xX])\] (.*)$/);
+        html.push(checkbox
+          ? `<input type="checkbox" disabled${checkbox[1].trim() ? ' checked' : ''}> ${AidlExporter.inline(checkbox[2], pageByAdrNo)}`
+          : AidlExporter.inline(bullet[2], pageByAdrNo));
+      } else if (line.trim() === '') {
+        // Lists continue across blank lines until other content starts
+        closeParagraph();
+      } else {
+        closeLists();
+        paragraph.push(AidlExporter.inline(line, pageByAdrNo));
+      }
+    }
+
+    closeParagraph();
+    closeLists();
+    return html.join('\n');
+  }
+
+  /**
+   * Wrap page content in a self-contained HTML document
+   */
+  static page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${AidlExporter.escapeHtml(title)}</title>
+<style>${STYLESHEET}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Index page with a client-side search over every exported decision
+   */
+  static indexPage(decisions, pageByAdrNo) {
+    const rows = decisions.map(decision => {
+      const supersededBy = decision.superseded_by
+        ? AidlExporter.inline(`ADR-${decision.superseded_by}`, pageByAdrNo)
+        : '';
+      return `<tr data-id="${AidlExporter.escapeHtml(decision.id)}">
+<td>ADR-${decision.adr_no}</td>
+<td><a href="${pageByAdrNo[decision.adr_no]}">${AidlExporter.escapeHtml(decision.title)}</a></td>
+<td>${AidlExporter.badge(decision.status)}</td>
+<td>${AidlExporter.escapeHtml(decision.date)}</td>
+<td>${supersededBy}</td>
+</tr>`;
+    });
+
+    // Lowercased searchable text per decision, embedded for the search box
+    const searchData = Object.fromEntries(decisions.map(decision => [
+      decision.id,
+      [decision.id, `adr-${decision.adr_no}`, decision.status, decision.markdown].join('\n').toLowerCase()
+    ]));
+
+    const body = `<h1>Decision Log</h1>
+<p class="meta">${decisions.length} decisions, exported ${new Date().toISOString().split('T')[0]}</p>
+<input id="search" type="search" placeholder="Search decisions..." autofocus>
+<table>
+<thead><tr><th>ADR</th><th>Title</th><th>Status</th><th>Date</th><th>Superseded by</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+<script>
+const SEARCH_DATA = ${JSON.stringify(searchData).replace(/</g, '\\u003c')};
+document.getElementById('search').addEventListener('input', (event) => {
+  const terms = event.target.value.toLowerCase().split(/\\s+/).filter(Boolean);
+  for (const row of document.querySelectorAll('tbody tr')) {
+    const text = SEARCH_DATA[row.dataset.id] || '';
+    row.hidden = !terms.every(term => text.includes(term));
+  }
+});
+</script>`;
+
+    return AidlExporter.page('Decision Log', body);
+  }
+
+  /**
+   * Page for a single decision
+   */
+  static decisionPage(decision, pageByAdrNo) {
+    const body = `<p><a href="index.html">&larr; Decision Log</a></p>
+<p>${AidlExporter.badge(decision.status)}</p>
+${AidlExporter.markdownToHtml(decision.markdown, pageByAdrNo)}`;
+
+    return AidlExporter.page(`ADR-${decision.adr_no}: ${decision.title}`, body);
+  }
+}
@@ -1,15 +1,81 @@
+import { EventEmitter } from 'events';
+import os from 'os';
 import path from 'path';
 import matter from 'gray-matter';
 import { FileUtils } from './file-utils.js';
+import { RevisionStore } from './revision-store.js';
+import { CommentStore } from './comment-store.js';
+import { AssumptionRegistry } from './assumption-registry.js';
+import { ProjectConfig, REVIEW_INTERVAL_PATTERN } from './project-config.js';
+import { DecisionGraph, RELATION_TYPES } from './decision-graph.js';
+import { AidlDoctor } from './aidl-doctor.js';
+import { AidlExporter } from './aidl-exporter.js';
+import { AdrImporter } from './adr-importer.js';
+import { SearchIndex } from './search-index.js';
+import { CodePaths } from './code-paths.js';
+import { GitRepo } from './git-repo.js';
+import { ChangeSummary } from './change-summary.js';
+import { DEFAULT_RISK_STATUSES, RiskRegister } from './risk-register.js';
+
+// Fields that can be changed through update() and restored by revert()
+const EDITABLE_FIELDS = ['title', 'context', 'decision', 'rationale', 'assumptions', 'risks', 'cost', 'consequences', 'expected_result', 'relations', 'tags', 'components', 'owners', 'reviewers', 'review_by', 'review_interval', 'paths'];
+
+// Classification fields stored in the index and filterable in list() and search()
+const LABEL_FIELDS = ['tags', 'components', 'owners'];
+
+/**
+ * Verdicts a reviewer can record with review()
+ */
+export const REVIEW_VERDICTS = ['approve', 'request_changes', 'reject'];
+
+/**
+ * States of an acceptance criterion
+ */
+export const CRITERION_STATES = ['pending', 'met', 'not_met'];
+
+// Rendered acceptance criterion: `- [x] AC1: text`, `- [ ] AC2 (not met): text — evidence: ...`
+const CRITERION_LINE = /^- \[([ xX])\] (AC\d+)( \(not met\))?: (.*?)(?: — evidence: (.*))?$/;
+
+/**
+ * Outcomes of a scheduled review recorded with recordReview()
+ */
+export const REVIEW_OUTCOMES = ['reaffirm', 'amend', 'supersede'];
+
+// Fields whose change outdates the reviews given so far
+const REVIEWED_FIELDS = ['title', 'context', 'decision', 'rationale', 'assumptions', 'risks', 'cost', 'consequences', 'expected_result', 'reviewers'];
+
+// Statuses of decisions that are no longer reviewed on schedule
+const CLOSED_STATUSES = ['REJECTED', 'FAILED', 'SUPERSEDED'];
+
+// Statuses of decisions in force
+const IN_FORCE_STATUSES = ['ACCEPTED', 'FINISHED'];
+
+const VERDICT_LABELS = {
+  approve: 'Approved',
+  request_changes: 'Changes requested',
+  reject: 'Rejected'
+};
 
 /**
  * AIDL Manager - Handles all AIDL operations
+ *
+ * Emits a `change` event ({ ids }) after every committed write.
  */
-export class AidlManager {
+export class AidlManager extends EventEmitter {
   constructor(baseDir = './.vce') {
+    super();
     this.baseDir = baseDir;
     this.aidlDir = path.join(baseDir, 'aidl');
     this.indexPath = path.join(this.aidlDir, 'index.json');
+    this.journalPath = path.join(this.aidlDir, 'journal.json');
+    this.revisions = new RevisionStore(this.aidlDir);
+    this.comments = new CommentStore(this.aidlDir);
+    this.assumptions = new AssumptionRegistry(this.aidlDir);
+    this.searchIndex = new SearchIndex(this.aidlDir);
+    this.git = new GitRepo(this.workspaceRoot());
+    this.config = ProjectConfig.resolve();
+    this.recovered = false;
+    this.writeQueue = Promise.resolve();
   }
 
   /**
@@ -17,17 +83,159 @@ export class AidlManager {
    */
   async initialize() {
     await FileUtils.ensureDir(this.aidlDir);
-    
-    // Create index.json if it doesn't exist
-    if (!(await FileUtils.exists(this.indexPath))) {
-      const initialIndex = {
-        next_adr_seq: 1,
-        items: {}
-      };
-      await FileUtils.writeJsonFileAtomic(this.indexPath, initialIndex);
+    this.config = await ProjectConfig.load(this.baseDir);
+
+    // Roll back a transaction interrupted by a previous crash and create
+    // index.json if it doesn't exist. Both go through the write queue and
+    // the journal lock: done beside a running transaction, they would roll
+    // back its journal or overwrite the index it just committed.
+    if (!this.recovered || !(await FileUtils.exists(this.indexPath))) {
+      await this.transaction(async (transaction) => {
+        if (!(await transaction.exists(this.indexPath))) {
+          transaction.writeJsonFile(this.indexPath, {
+            next_adr_seq: 1,
+            items: {}
+          });
+        }
+      });
+      this.recovered = true;
+    }
+  }
+
+  /**
+   * Resolve the author recorded for a revision
+   */
+  resolveAuthor(author) {
+    if (author) {
+      return author;
+    }
+    if (process.env.VCE_AUTHOR) {
+      return process.env.VCE_AUTHOR;
+    }
+    try {
+      return os.userInfo().username;
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Run a transaction over the AIDL files (index, markdown and history):
+   * every write staged by the callback is applied, or none is.
+   * Transactions of one manager run one at a time, so clients sharing
+   * the manager never contend for the file lock.
+   */
+  async transaction(callback) {
+    const changedRecords = new Set();
+    const run = this.writeQueue.then(() => FileUtils.runTransaction(this.journalPath, (transaction) => {
+      transaction.changedRecords = changedRecords;
+      return callback(transaction);
+    }));
+    this.writeQueue = run.catch(() => {});
+    const result = await run;
+
+    if (changedRecords.size > 0) {
+      this.emit('change', { ids: [...changedRecords] });
+    }
+
+    return result;
+  }
+
+  /**
+   * Stage the markdown file of an AIDL together with a revision snapshot
+   * (stamped with the git commit and branch the workspace is on)
+   */
+  async stageRecord(transaction, indexItem, aidlData, action, author) {
+    const snapshot = {
+      ...indexItem,
+      ...this.toRecord(aidlData)
+    };
+
+    transaction.writeFile(path.join(this.aidlDir, `${indexItem.id}.md`), this.generateMarkdown(snapshot));
+    transaction.changedRecords?.add(indexItem.id);
+    await this.searchIndex.stage(transaction, snapshot);
+    // One HEAD lookup per transaction, however many records it writes
+    transaction.gitHead ??= this.git.head();
+    return this.revisions.append(transaction, indexItem.id, {
+      action,
+      author: this.resolveAuthor(author),
+      git: await transaction.gitHead,
+      record: snapshot
+    });
+  }
+
+  /**
+   * Make sure records created before revision history existed get a
+   * baseline revision before their first change
+   */
+  async ensureBaselineRevision(transaction, id) {
+    const revisions = await this.revisions.readAll(id, transaction);
+    if (revisions.length === 0) {
+      await this.revisions.append(transaction, id, {
+        action: 'baseline',
+        author: 'unknown',
+        record: await this.readRecord(id, transaction)
+      });
+    }
+  }
+
+  /**
+   * Add a review interval (e.g. 90d, 12w, 6m, 1y) to a YYYY-MM-DD date
+   */
+  addInterval(date, interval) {
+    const [, amount, unit] = String(interval).match(REVIEW_INTERVAL_PATTERN);
+    const result = new Date(`${date}T00:00:00Z`);
+    const count = Number(amount);
+
+    if (unit === 'd' || unit === 'w') {
+      result.setUTCDate(result.getUTCDate() + count * (unit === 'w' ? 7 : 1));
+    } else if (unit === 'm') {
+      result.setUTCMonth(result.getUTCMonth() + count);
+    } else {
+      result.setUTCFullYear(result.getUTCFullYear() + count);
+    }
+
+    return result.toISOString().split('T')[0];
+  }
+
+  /**
+   * Next review date for a decision entering `status`: today plus its own
+   * interval or the configured one for the status ('' when neither is set)
+   */
+  scheduleReview(reviewInterval, status) {
+    const interval = reviewInterval || this.config.review_intervals[status];
+    return interval ? this.addInterval(this.getCurrentDate(), interval) : '';
+  }
+
+  /**
+   * Check the review_by date and review_interval of create/update params
+   */
+  validateReviewSchedule({ review_by, review_interval }) {
+    if (review_by && (!/^\d{4}-\d{2}-\d{2}$/.test(review_by) || Number.isNaN(Date.parse(review_by)))) {
+      const error = new Error(`Invalid review_by date: ${review_by} (expected YYYY-MM-DD)`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    if (review_interval && !REVIEW_INTERVAL_PATTERN.test(review_interval)) {
+      const error = new Error(`Invalid review_interval: ${review_interval} (expected e.g. 90d, 12w, 6m or 1y)`);
+      error.code = 'E_INVALID';
+      throw error;
     }
   }
 
+  /**
+   * Build a status history entry
+   */
+  createStatusHistoryEntry(from, to, { reason, author } = {}) {
+    return {
+      from,
+      to,
+      timestamp: new Date().toISOString(),
+      author: this.resolveAuthor(author),
+      reason: reason || ''
+    };
+  }
+
   /**
    * Generate current date in ISO 8601 format (YYYY-MM-DD)
    */
@@ -35,281 +243,728 @@ export class AidlManager {
     return new Date().toISOString().split('T')[0];
   }
 
+  /**
+   * Build the canonical structured record from AIDL data, filling defaults
+   * so that every field survives a YAML round-trip
+   */
+  toRecord(aidlData) {
+    const record = {
+      title: aidlData.title || '',
+      context: aidlData.context || '',
+      decision: aidlData.decision || '',
+      rationale: aidlData.rationale || '',
+      assumptions: this.normalizeAssumptions(aidlData.assumptions),
+      risks: {},
+      cost: {
+        one_off: [...(aidlData.cost?.one_off || [])],
+        ongoing: [...(aidlData.cost?.ongoing || [])]
+      },
+      consequences: {
+        positive: [...(aidlData.consequences?.positive || [])],
+        negative: [...(aidlData.consequences?.negative || [])]
+      },
+      expected_result: this.normalizeCriteria(aidlData.expected_result),
+      relations: this.normalizeRelations(aidlData.relations),
+      tags: this.normalizeLabels(aidlData.tags, { lowercase: true }),
+      components: this.normalizeLabels(aidlData.components),
+      owners: this.normalizeLabels(aidlData.owners),
+      reviewers: this.normalizeLabels(aidlData.reviewers),
+      paths: this.normalizePaths(aidlData.paths),
+      reviews: (aidlData.reviews || []).map(entry => ({ ...entry })),
+      needs_review: this.activeReviewFlags(aidlData),
+      review_by: this.normalizeDate(aidlData.review_by) || '',
+      review_interval: aidlData.review_interval || '',
+      review_log: (aidlData.review_log || []).map(entry => ({ ...entry })),
+      status_history: (aidlData.status_history || []).map(entry => ({ ...entry }))
+    };
+
+    for (const [risk, details] of Object.entries(aidlData.risks || {})) {
+      record.risks[risk] = {
+        probability: details.probability,
+        impact: details.impact,
+        mitigation: details.mitigation || '',
+        owner: details.owner || '',
+        reassess_by: this.normalizeDate(details.reassess_by) || ''
+      };
+    }
+
+    for (const [name, field] of Object.entries(this.config.custom_fields)) {
+      const value = aidlData[name];
+      record[name] = field.type === 'list'
+        ? [...(value || [])]
+        : (value ?? '');
+    }
+
+    return record;
+  }
+
+  /**
+   * Built-in editable fields plus the custom fields from the project config
+   */
+  editableFields() {
+    return [...EDITABLE_FIELDS, ...Object.keys(this.config.custom_fields)];
+  }
+
+  /**
+   * Values of the configured custom fields present in params
+   */
+  pickCustomFields(params) {
+    const values = {};
+    for (const name of Object.keys(this.config.custom_fields)) {
+      if (params[name] !== undefined) {
+        values[name] = params[name];
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Check custom field values against their configured types
+   * (with `requireAll`, required fields must also be present)
+   */
+  validateCustomFields(values, { requireAll = false } = {}) {
+    for (const [name, field] of Object.entries(this.config.custom_fields)) {
+      const value = values[name];
+      let problem = null;
+
+      if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+        problem = requireAll && field.required ? 'is required' : null;
+      } else if (field.type === 'list' && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+        problem = 'must be a list of strings';
+      } else if (field.type !== 'list' && typeof value !== 'string') {
+        problem = 'must be a string';
+      } else if (field.type === 'enum' && !field.values.includes(value)) {
+        problem = `must be one of ${field.values.join(', ')}`;
+      }
+
+      if (problem) {
+        const error = new Error(`Custom field '${name}' ${problem}`);
+        error.code = 'E_INVALID';
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Assumptions as `{ id, text }` entries (records written before
+   * assumptions were shared carry plain texts without an ID)
+   */
+  normalizeAssumptions(assumptions = []) {
+    return (assumptions || []).map(entry => (typeof entry === 'string'
+      ? { id: null, text: entry }
+      : { id: entry.id ?? null, text: entry.text ?? '' }));
+  }
+
+  /**
+   * "Needs review" flags of an AIDL whose invalid assumption it still
+   * relies on (editing the assumption out clears the flag)
+   */
+  activeReviewFlags(aidlData) {
+    const assumptionIds = this.normalizeAssumptions(aidlData.assumptions).map(entry => entry.id);
+    return (aidlData.needs_review || [])
+      .filter(flag => assumptionIds.includes(flag.assumption_id))
+      .map(flag => ({ ...flag }));
+  }
+
+  /**
+   * Give every acceptance criterion an ID (AC1, AC2, ...) and a state.
+   * A plain string becomes a pending criterion unless an existing
+   * criterion has the same text; an object with an existing ID keeps the
+   * state and evidence it does not override.
+   */
+  normalizeCriteria(items = [], existing = []) {
+    const criteria = [];
+    const numberOf = (item) => Number(String(item?.id ?? '').match(/^AC(\d+)$/)?.[1] ?? 0);
+    let nextNo = Math.max(0, ...[...existing, ...(items || [])].map(numberOf)) + 1;
+
+    for (const item of items || []) {
+      const taken = (criterion) => criteria.some(entry => entry.id === criterion.id);
+      const previous = typeof item === 'string'
+        ? existing.find(criterion => criterion.text === item && !taken(criterion))
+        : existing.find(criterion => criterion.id === item.id);
+      const merged = typeof item === 'string' ? { ...previous, text: item } : { ...previous, ...item };
+
+      criteria.push({
+        id: /^AC\d+$/.test(merged.id ?? '') && !taken(merged) ? merged.id : `AC${nextNo++}`,
+        text: String(merged.text ?? ''),
+        state: CRITERION_STATES.includes(merged.state) ? merged.state : 'pending',
+        evidence: merged.evidence || ''
+      });
+    }
+
+    return criteria;
+  }
+
+  /**
+   * Parse rendered acceptance criterion lines (other lines are skipped)
+   */
+  parseCriteriaLines(lines) {
+    return lines
+      .map(line => line.match(CRITERION_LINE))
+      .filter(Boolean)
+      .map(([, checked, id, notMet, text, evidence]) => ({
+        id,
+        text,
+        state: checked.trim() ? 'met' : (notMet ? 'not_met' : 'pending'),
+        evidence: evidence || ''
+      }));
+  }
+
+  /**
+   * Trim, deduplicate and (for tags) lowercase a list of labels
+   */
+  normalizeLabels(labels = [], { lowercase = false } = {}) {
+    const normalized = (labels || [])
+      .map(label => String(label).trim())
+      .filter(Boolean)
+      .map(label => lowercase ? label.toLowerCase().replace(/\s+/g, '-') : label);
+    return [...new Set(normalized)];
+  }
+
+  /**
+   * Normalize and deduplicate the path patterns an AIDL governs,
+   * rejecting patterns outside the workspace or that do not compile
+   */
+  normalizePaths(paths = []) {
+    const normalized = (paths || []).map(pattern => CodePaths.normalizePattern(pattern));
+    for (const pattern of normalized.filter(CodePaths.isGlob)) {
+      CodePaths.toRegExp(pattern);
+    }
+    return [...new Set(normalized)];
+  }
+
+  /**
+   * Fill every relation type with a (deduplicated) list of IDs
+   */
+  normalizeRelations(relations = {}) {
+    const normalized = {};
+    for (const type of RELATION_TYPES) {
+      normalized[type] = [...new Set(relations?.[type] || [])];
+    }
+    return normalized;
+  }
+
+  /**
+   * Validate relation targets against the index items
+   */
+  validateRelations(id, relations, items) {
+    const invalidTypes = Object.keys(relations || {}).filter(type => !RELATION_TYPES.includes(type));
+    if (invalidTypes.length > 0) {
+      const error = new Error(`Unknown relation types: ${invalidTypes.join(', ')}`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+
+    const normalized = this.normalizeRelations(relations);
+    for (const type of RELATION_TYPES) {
+      for (const target of normalized[type]) {
+        if (target === id) {
+          const error = new Error(`AIDL cannot relate to itself (${type})`);
+          error.code = 'E_INVALID';
+          throw error;
+        }
+        if (!items[target]) {
+          const error = new Error(`Related AIDL '${target}' (${type}) not found`);
+          error.code = 'E_NOT_FOUND';
+          throw error;
+        }
+      }
+    }
+    return normalized;
+  }
+
   /**
    * Generate markdown content for AIDL
+   *
+   * The full record is stored in front matter so it can be read back
+   * losslessly; the markdown body is a rendering for humans.
    */
   generateMarkdown(aidlData) {
+    const record = this.toRecord(aidlData);
     const frontMatter = {
       id: aidlData.id,
       aidl_no: aidlData.adr_no,
       status: aidlData.status,
-      date: aidlData.date
+      date: aidlData.date,
+      superseded_by: aidlData.superseded_by || '',
+      supersedes: (aidlData.supersedes || []).map(String),
+      ...record
     };
 
     const statusDisplay = aidlData.status === 'SUPERSEDED' && aidlData.superseded_by
       ? `Superseded by ADR-${aidlData.superseded_by}`
       : aidlData.status.charAt(0) + aidlData.status.slice(1).toLowerCase();
 
-    let content = `# ADR-${aidlData.adr_no}: ${aidlData.title}
+    const supersedesLine = aidlData.supersedes?.length
+      ? `- **Supersedes**: ${aidlData.supersedes.map(adrNo => `ADR-${adrNo}`).join(', ')}\n`
+      : '';
+    const labelLines = [['Tags', record.tags], ['Components', record.components], ['Owners', record.owners], ['Reviewers', record.reviewers]]
+      .filter(([, labels]) => labels.length > 0)
+      .map(([name, labels]) => `\n- **${name}**: ${labels.join(', ')}`)
+      .join('');
+
+    const sections = this.config.template.sections
+      .map(section => `## ${this.config.template.headings[section]}\n${this.renderSection(section, record)}\n`);
+
+    const reviewByLine = record.review_by
+      ? `\n- **Review by**: ${record.review_by}${record.review_interval ? ` (every ${record.review_interval})` : ''}`
+      : '';
+    const pathsLine = record.paths.length > 0
+      ? `\n- **Paths**: ${record.paths.map(pattern => `\`${pattern}\``).join(', ')}`
+      : '';
+    const needsReviewLine = record.needs_review.length > 0
+      ? `\n- **Needs review**: ${record.needs_review.map(flag => `assumption ${flag.assumption_id} invalidated`).join(', ')}`
+      : '';
+
+    let content = `# ADR-${aidlData.adr_no}: ${record.title}
 - **Status**: ${statusDisplay}
-- **Date**: ${aidlData.date}
-
-## Context
-${aidlData.context}
-
-## Decision
-${aidlData.decision}
+${supersedesLine}- **Date**: ${aidlData.date}${labelLines}${pathsLine}${reviewByLine}${needsReviewLine}
 
-## Rationale (Drivers)
-${aidlData.rationale}
+${sections.join('\n')}`;
 
-## Consequences (Implications)
-**Positive**
-${aidlData.consequences.positive.map(item => `- ${item}`).join('\n')}
+    if (record.reviewers.length > 0 || record.reviews.length > 0) {
+      content += `
+## Reviews
+${this.renderReviews(record)}
+`;
+    }
 
-**Negative / Trade-offs**
-${aidlData.consequences.negative.map(item => `- ${item}`).join('\n')}
+    if (record.review_log.length > 0) {
+      content += `
+## Review Log
+${record.review_log.map(entry => `- ${String(entry.timestamp).split('T')[0]} ${entry.reviewer}: ${entry.outcome}${entry.notes ? ` — ${entry.notes}` : ''}${entry.next_review_by ? ` (next review by ${entry.next_review_by})` : ''}`).join('\n')}
+`;
+    }
 
-## Risks & Mitigations
-${Object.entries(aidlData.risks).map(([risk, details]) => 
-  `- ${risk} — Impact:${details.impact} / Prob:${details.probability} — ${details.mitigation}`
-).join('\n')}
+    const relationLines = RELATION_TYPES
+      .filter(type => record.relations[type].length > 0)
+      .map(type => `- ${type}: ${record.relations[type].join(', ')}`);
+    if (relationLines.length > 0) {
+      content += `
+## Related Decisions
+${relationLines.join('\n')}
+`;
+    }
 
-## Acceptance Criteria
-${aidlData.expected_result.map(item => `- ${item}`).join('\n')}
+    return matter.stringify(content, frontMatter);
+  }
 
-## Assumptions
-${aidlData.assumptions.map(item => `- ${item}`).join('\n')}
+  /**
+   * Render the body of one template section (built-in or custom field)
+   */
+  renderSection(section, record) {
+    const { labels, risk_format } = this.config.template;
+    const bullets = (items, indent = '') => items.map(item => `${indent}- ${item}`).join('\n');
+
+    switch (section) {
+      case 'consequences':
+        return `**${labels.positive}**
+${bullets(record.consequences.positive)}
+
+**${labels.negative}**
+${bullets(record.consequences.negative)}`;
+      case 'risks':
+        return Object.entries(record.risks)
+          .map(([risk, details]) => {
+            const line = risk_format.replace(/\{(risk|impact|probability|mitigation|owner|reassess_by)\}/g, (match, key) => (
+              key === 'risk' ? risk : details[key] ?? ''
+            ));
+            // Owner and re-assessment date follow the line unless the format places them
+            const extras = [
+              details.owner && !risk_format.includes('{owner}') ? `owner: ${details.owner}` : '',
+              details.reassess_by && !risk_format.includes('{reassess_by}') ? `re-assess by ${details.reassess_by}` : ''
+            ].filter(Boolean);
+            return `- ${line}${extras.length > 0 ? ` (${extras.join(', ')})` : ''}`;
+          })
+          .join('\n');
+      case 'assumptions':
+        return record.assumptions
+          .map(assumption => {
+            const flag = record.needs_review.find(entry => entry.assumption_id === assumption.id);
+            return `- ${assumption.id ? `${assumption.id}: ` : ''}${assumption.text}${flag ? ` — **invalidated**: ${flag.reason}` : ''}`;
+          })
+          .join('\n');
+      case 'expected_result':
+        return record.expected_result
+          .map(criterion => `- [${criterion.state === 'met' ? 'x' : ' '}] ${criterion.id}${criterion.state === 'not_met' ? ' (not met)' : ''}: ${criterion.text}${criterion.evidence ? ` — evidence: ${criterion.evidence}` : ''}`)
+          .join('\n');
+      case 'cost':
+        return `- ${labels.one_off}:
+${bullets(record.cost.one_off, '  ')}
+- ${labels.ongoing}:
+${bullets(record.cost.ongoing, '  ')}`;
+      default:
+        return Array.isArray(record[section]) ? bullets(record[section]) : record[section];
+    }
+  }
 
-## Cost / TCO
-- One-off：
-${aidlData.cost.one_off.map(item => `  - ${item}`).join('\n')}
-- Ongoing：
-${aidlData.cost.ongoing.map(item => `  - ${item}`).join('\n')}
-`;
+  /**
+   * Render the review log: every verdict in order, then the assigned
+   * reviewers who have not reviewed yet
+   */
+  renderReviews(record) {
+    const reviewed = new Set(record.reviews.filter(review => !review.outdated).map(review => review.reviewer));
+    return [
+      ...record.reviews.map(review => `- **${review.reviewer}**: ${VERDICT_LABELS[review.verdict] || review.verdict} (${String(review.timestamp).split('T')[0]}${review.outdated ? ', on an earlier revision' : ''})${review.comment ? ` — ${review.comment}` : ''}`),
+      ...record.reviewers.filter(reviewer => !reviewed.has(reviewer)).map(reviewer => `- **${reviewer}**: Pending`)
+    ].join('\n');
+  }
 
-    return matter.stringify(content, frontMatter);
+  /**
+   * Normalize a front matter date (YAML may parse it as a Date) to YYYY-MM-DD
+   */
+  normalizeDate(value) {
+    if (value instanceof Date) {
+      return value.toISOString().split('T')[0];
+    }
+    return value === undefined || value === null ? value : String(value);
   }
 
   /**
    * Parse markdown content to extract AIDL data
+   *
+   * Records carrying the full record in front matter are read from there;
+   * older markdown-only records fall back to parsing the body.
    */
   parseMarkdown(markdownContent) {
     const parsed = matter(markdownContent);
-    const frontMatter = parsed.data;
-    
-    // Extract structured data from content
-    // This is a simplified parser - in production you might want more robust parsing
+    // gray-matter caches parsed objects, so never hand out its data
+    const frontMatter = structuredClone(parsed.data);
     const content = parsed.content;
-    
+
+    const hasStructuredRecord = typeof frontMatter.title === 'string' &&
+      typeof frontMatter.context === 'string';
+    const record = hasStructuredRecord
+      ? this.toRecord(frontMatter)
+      : this.parseLegacyBody(content);
+
+    // Checkboxes ticked in the markdown body win over the front matter
+    if (hasStructuredRecord) {
+      for (const { id, state } of this.parseCriteriaLines(this.sectionLines(content, this.config.template.headings.expected_result))) {
+        const criterion = record.expected_result.find(entry => entry.id === id);
+        if (criterion) {
+          criterion.state = state;
+        }
+      }
+    }
+
     return {
       id: frontMatter.id,
       adr_no: frontMatter.aidl_no,
       status: frontMatter.status,
-      date: frontMatter.date,
+      date: this.normalizeDate(frontMatter.date),
+      superseded_by: frontMatter.superseded_by === undefined
+        ? content.match(/^- \*\*Status\*\*: Superseded by ADR-(\d+)/m)?.[1]
+        : String(frontMatter.superseded_by),
+      supersedes: (frontMatter.supersedes || []).map(String),
+      record,
       content: content,
       frontMatter: frontMatter
     };
   }
 
   /**
-   * Create a new AIDL
+   * Lines of the body section under a level-2 heading
    */
-  async create(params) {
-    await this.initialize();
+  sectionLines(content, heading) {
+    const lines = content.split('\n');
+    const start = lines.indexOf(`## ${heading}`);
+    if (start === -1) {
+      return [];
+    }
+    const end = lines.findIndex((line, i) => i > start && line.startsWith('## '));
+    return lines.slice(start + 1, end === -1 ? undefined : end);
+  }
 
-    const { title, id, context, decision, rationale, assumptions, risks, cost, consequences, expected_result } = params;
+  /**
+   * Parse the markdown body written by the markdown-only record format
+   */
+  parseLegacyBody(content) {
+    const lines = content.split('\n');
+    const sections = {};
+    let title = '';
+    let currentSection = '';
 
-    // Check if ID already exists
-    const aidlPath = path.join(this.aidlDir, `${id}.md`);
-    if (await FileUtils.exists(aidlPath)) {
-      const error = new Error(`AIDL with ID '${id}' already exists`);
-      error.code = 'E_EXISTS';
-      throw error;
+    const sectionHeadings = [
+      ['## Context', 'context'],
+      ['## Decision', 'decision'],
+      ['## Rationale', 'rationale'],
+      ['## Assumptions', 'assumptions'],
+      ['## Risks', 'risks'],
+      ['## Consequences', 'consequences'],
+      ['## Acceptance', 'expected_result'],
+      ['## Cost', 'cost']
+    ];
+
+    // Group raw lines by section, keeping blank lines and indentation
+    for (const line of lines) {
+      if (!title && line.startsWith('# ADR-')) {
+        title = line.replace(/^# ADR-\d+:\s*/, '');
+        continue;
+      }
+      if (line.startsWith('## ')) {
+        const heading = sectionHeadings.find(([prefix]) => line.startsWith(prefix));
+        currentSection = heading ? heading[1] : '';
+        if (currentSection) {
+          sections[currentSection] = [];
+        }
+        continue;
+      }
+      if (currentSection) {
+        sections[currentSection].push(line);
+      }
     }
 
-    // Update index atomically to get next ADR number
-    const updatedIndex = await FileUtils.updateJsonFileAtomic(this.indexPath, (currentIndex) => {
-      const adrNo = currentIndex.next_adr_seq;
-      
-      const newItem = {
-        title,
-        id,
-        adr_no: adrNo,
-        status: 'PROPOSED',
-        date: this.getCurrentDate(),
-        superseded_by: ''
-      };
+    const textOf = (sectionLines = []) => {
+      const result = [...sectionLines];
+      while (result.length && result[result.length - 1].trim() === '') result.pop();
+      while (result.length && result[0].trim() === '') result.shift();
+      return result.join('\n');
+    };
+    const listOf = (sectionLines = []) => sectionLines
+      .filter(line => line.startsWith('- '))
+      .map(line => line.substring(2));
 
-      return {
-        next_adr_seq: adrNo + 1,
-        items: {
-          ...currentIndex.items,
-          [id]: newItem
-        }
-      };
+    const record = this.toRecord({
+      title,
+      context: textOf(sections.context),
+      decision: textOf(sections.decision),
+      rationale: textOf(sections.rationale),
+      assumptions: listOf(sections.assumptions).map(item => {
+        const match = item.match(/^(A\d+): (.*?)(?: — \*\*invalidated\*\*: .*)?$/);
+        return match ? { id: match[1], text: match[2] } : item;
+      }),
+      expected_result: listOf(sections.expected_result).map(item => this.parseCriteriaLines([`- ${item}`])[0] || item)
     });
 
-    const aidlData = {
-      ...updatedIndex.items[id],
-      title,
-      context,
-      decision,
-      rationale,
-      assumptions,
-      risks,
-      cost,
-      consequences,
-      expected_result
-    };
+    for (const line of sections.risks || []) {
+      const riskMatch = line.match(/^- (.+?) — Impact:(\w+) \/ Prob:(\w+) — (.*)$/);
+      if (riskMatch) {
+        record.risks[riskMatch[1]] = {
+          probability: riskMatch[3],
+          impact: riskMatch[2],
+          mitigation: riskMatch[4],
+          owner: '',
+          reassess_by: ''
+        };
+      }
+    }
+
+    let consequenceKey = null;
+    for (const line of sections.consequences || []) {
+      if (line.startsWith('**Positive')) {
+        consequenceKey = 'positive';
+      } else if (line.startsWith('**Negative')) {
+        consequenceKey = 'negative';
+      } else if (consequenceKey && line.startsWith('- ')) {
+        record.consequences[consequenceKey].push(line.substring(2));
+      }
+    }
+
+    let costKey = null;
+    for (const line of sections.cost || []) {
+      if (/^- One-off\s*[:：]/.test(line)) {
+        costKey = 'one_off';
+      } else if (/^- Ongoing\s*[:：]/.test(line)) {
+        costKey = 'ongoing';
+      } else if (costKey && line.startsWith('  - ')) {
+        record.cost[costKey].push(line.substring(4));
+      }
+    }
 
-    // Create markdown file
-    const markdownContent = this.generateMarkdown(aidlData);
-    await FileUtils.writeFileAtomic(aidlPath, markdownContent);
+    return record;
+  }
 
+  /**
+   * Build the index.json entry for an AIDL
+   */
+  buildIndexItem(aidlData) {
     return {
-      ok: true,
-      message: "AIDL created (status fixed as PROPOSED)",
+      title: aidlData.title,
       id: aidlData.id,
       adr_no: aidlData.adr_no,
       status: aidlData.status,
-      date: aidlData.date
+      date: aidlData.date,
+      superseded_by: aidlData.superseded_by || '',
+      supersedes: (aidlData.supersedes || []).map(String),
+      relations: this.normalizeRelations(aidlData.relations),
+      tags: this.normalizeLabels(aidlData.tags, { lowercase: true }),
+      components: this.normalizeLabels(aidlData.components),
+      owners: this.normalizeLabels(aidlData.owners),
+      reviewers: this.normalizeLabels(aidlData.reviewers),
+      paths: this.normalizePaths(aidlData.paths),
+      reviews: (aidlData.reviews || []).map(entry => ({ ...entry })),
+      assumptions: this.normalizeAssumptions(aidlData.assumptions).map(entry => entry.id).filter(Boolean),
+      needs_review: this.activeReviewFlags(aidlData).length > 0,
+      review_by: this.normalizeDate(aidlData.review_by) || '',
+      review_interval: aidlData.review_interval || ''
     };
   }
 
   /**
-   * Get AIDL by ID
+   * Read the full AIDL record (index metadata merged with the stored record),
+   * optionally through a transaction so that staged writes are visible
    */
-  async get(id) {
-    await this.initialize();
-
+  async readRecord(id, io = FileUtils) {
     const aidlPath = path.join(this.aidlDir, `${id}.md`);
-    if (!(await FileUtils.exists(aidlPath))) {
+    if (!(await io.exists(aidlPath))) {
       const error = new Error(`AIDL with ID '${id}' not found`);
       error.code = 'E_NOT_FOUND';
       throw error;
     }
 
     // Read from index for metadata
-    const index = await FileUtils.readJsonFile(this.indexPath);
+    const index = await io.readJsonFile(this.indexPath);
     const indexItem = index.items[id];
     
     if (!indexItem) {
-      const error = new Error(`AIDL '${id}' found in filesystem but not in index`);
+      const error = new Error(`AIDL '${id}' found in filesystem but not in index (run aidl_doctor with fix to rebuild the index)`);
       error.code = 'E_INVALID';
       throw error;
     }
 
-    // Read markdown file for full content
-    const markdownContent = await FileUtils.readFile(aidlPath);
+    const markdownContent = await io.readFile(aidlPath);
     const parsed = this.parseMarkdown(markdownContent);
 
-    // Extract structured data from markdown content
-    // This is a simplified extraction - you might want more robust parsing
-    const lines = parsed.content.split('\n');
-    let currentSection = '';
-    const extractedData = {
-      title: '',
-      context: '',
-      decision: '',
-      rationale: '',
-      assumptions: [],
-      risks: {},
-      consequences: { positive: [], negative: [] },
-      expected_result: [],
-      cost: { one_off: [], ongoing: [] }
-    };
-
-    // Extract title from first heading
-    const titleMatch = lines.find(line => line.startsWith('# ADR-'));
-    if (titleMatch) {
-      extractedData.title = titleMatch.replace(/^# ADR-\d+:\s*/, '');
-    }
-
-    // Simple section-based parsing
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      if (line.startsWith('## Context')) {
-        currentSection = 'context';
-        continue;
-      } else if (line.startsWith('## Decision')) {
-        currentSection = 'decision';
-        continue;
-      } else if (line.startsWith('## Rationale')) {
-        currentSection = 'rationale';
-        continue;
-      } else if (line.startsWith('## Assumptions')) {
-        currentSection = 'assumptions';
-        continue;
-      } else if (line.startsWith('## Risks')) {
-        currentSection = 'risks';
-        continue;
-      } else if (line.startsWith('## Consequences')) {
-        currentSection = 'consequences';
-        continue;
-      } else if (line.startsWith('## Acceptance')) {
-        currentSection = 'expected_result';
-        continue;
-      } else if (line.startsWith('## Cost')) {
-        currentSection = 'cost';
-        continue;
-      } else if (line.startsWith('##') || line.startsWith('**')) {
-        currentSection = '';
-        continue;
-      }
-
-      // Process content based on current section
-      if (currentSection && line) {
-        switch (currentSection) {
-          case 'context':
-          case 'decision':
-          case 'rationale':
-            if (!line.startsWith('-') && !line.startsWith('**')) {
-              extractedData[currentSection] += (extractedData[currentSection] ? '\n' : '') + line;
-            }
-            break;
-          case 'assumptions':
-          case 'expected_result':
-            if (line.startsWith('- ')) {
-              extractedData[currentSection].push(line.substring(2));
-            }
-            break;
-          case 'risks':
-            if (line.startsWith('- ')) {
-              const riskMatch = line.match(/^- (.+?) — Impact:(\w+) \/ Prob:(\w+) — (.+)$/);
-              if (riskMatch) {
-                extractedData.risks[riskMatch[1]] = {
-                  impact: riskMatch[2],
-                  probability: riskMatch[3],
-                  mitigation: riskMatch[4]
-                };
-              }
-            }
-            break;
-        }
-      }
-    }
-
     return {
       ...indexItem,
-      ...extractedData
+      ...parsed.record
     };
   }
 
   /**
-   * Search AIDLs by title
+   * Create a new AIDL
    */
-  async search(keyword) {
+  async create(params) {
     await this.initialize();
 
-    const index = await FileUtils.readJsonFile(this.indexPath);
-    const results = {};
+    const { title, id, context, decision, rationale, assumptions, risks, cost, consequences, expected_result, relations, tags, components, owners, reviewers, paths, review_by, review_interval, author } = params;
+    // Custom fields arrive as extra params: anything else is a typo
+    const unknownFields = Object.keys(params).filter(field => field !== 'id' && field !== 'author' && !this.editableFields().includes(field));
+    if (unknownFields.length > 0) {
+      const error = new Error(`Unknown fields: ${unknownFields.join(', ')}`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    const customValues = this.pickCustomFields(params);
+    this.validateCustomFields(customValues, { requireAll: true });
+    this.validateReviewSchedule({ review_by, review_interval });
+
+    const aidlPath = path.join(this.aidlDir, `${id}.md`);
+
+    const aidlData = await this.transaction(async (transaction) => {
+      // Check if ID already exists
+      if (await transaction.exists(aidlPath)) {
+        const error = new Error(`AIDL with ID '${id}' already exists`);
+        error.code = 'E_EXISTS';
+        throw error;
+      }
+
+      // Take the next ADR number
+      const index = await transaction.readJsonFile(this.indexPath);
+      const adrNo = index.next_adr_seq;
+      const resolvedAssumptions = await this.assumptions.resolve(transaction, assumptions);
+
+      const newItem = this.buildIndexItem({
+        title,
+        id,
+        adr_no: adrNo,
+        status: 'PROPOSED',
+        date: this.getCurrentDate(),
+        relations: this.validateRelations(id, relations, index.items),
+        tags,
+        components,
+        owners,
+        reviewers,
+        paths,
+        assumptions: resolvedAssumptions,
+        review_by: review_by || this.scheduleReview(review_interval, 'PROPOSED'),
+        review_interval
+      });
+
+      index.next_adr_seq = adrNo + 1;
+      index.items[id] = newItem;
+      transaction.writeJsonFile(this.indexPath, index);
+
+      const newData = {
+        ...newItem,
+        title,
+        context,
+        decision,
+        rationale,
+        assumptions: resolvedAssumptions,
+        risks,
+        cost,
+        consequences,
+        expected_result,
+        ...customValues,
+        status_history: [this.createStatusHistoryEntry(null, 'PROPOSED', { reason: 'Created', author })]
+      };
+
+      // Create markdown file
+      await this.stageRecord(transaction, newItem, newData, 'create', author);
+      return newData;
+    });
+
+    return {
+      ok: true,
+      message: "AIDL created (status fixed as PROPOSED)",
+      id: aidlData.id,
+      adr_no: aidlData.adr_no,
+      status: aidlData.status,
+      date: aidlData.date
+    };
+  }
+
+  /**
+   * Get AIDL by ID (with `include_comments`, also its open comments)
+   */
+  async get(id, { include_comments = false } = {}) {
+    await this.initialize();
+
+    const record = await this.readRecord(id);
+    if (!include_comments) {
+      return record;
+    }
+
+    const { comments } = await this.listComments(id);
+    return { ...record, comments };
+  }
+
+  /**
+   * Rendered markdown of an AIDL (without the front matter)
+   */
+  async getMarkdown(id) {
+    await this.initialize();
+
+    // Validates that the AIDL exists and is indexed
+    await this.readRecord(id);
+
+    const markdownContent = await FileUtils.readFile(path.join(this.aidlDir, `${id}.md`));
+    return this.parseMarkdown(markdownContent).content.replace(/^\n+/, '');
+  }
+
+  /**
+   * Raw index.json content
+   */
+  async getIndex() {
+    await this.initialize();
+    return FileUtils.readJsonFile(this.indexPath);
+  }
+
+  /**
+   * Search AIDLs by title
+   */
+  async search(keyword, filters = {}) {
+    await this.initialize();
+
+    const index = await FileUtils.readJsonFile(this.indexPath);
+    const results = {};
 
     const lowerKeyword = keyword.toLowerCase();
     
     // Sort by date (most recent first) then search
-    const sortedItems = Object.values(index.items)
+    const sortedItems = this.filterItems(Object.values(index.items), filters)
       .sort((a, b) => new Date(b.date) - new Date(a.date));
 
     for (const item of sortedItems) {
@@ -323,70 +978,48 @@ ${aidlData.cost.ongoing.map(item => `  - ${item}`).join('\n')}
 
   /**
    * Full-text search across AIDL content
+   *
+   * Supports quoted phrases, AND/OR/NOT (or -term), parentheses and
+   * field-scoped terms such as `risk:latency` or `decision:"postgres"`.
    */
-  async detailSearch(keyword) {
+  async detailSearch(keyword, { page = 1, page_size = 20 } = {}) {
     await this.initialize();
 
-    const results = [];
-    const files = await FileUtils.listFiles(this.aidlDir, '\\.md$');
-    
-    for (const file of files) {
-      const filePath = path.join(this.aidlDir, file);
-      const content = await FileUtils.readFile(filePath);
-      const parsed = this.parseMarkdown(content);
-      
-      // Remove markdown formatting for search
-      const plainText = content
-        .replace(/^---[\s\S]*?---/m, '') // Remove front matter
-        .replace(/#{1,6}\s+/g, '') // Remove headers
-        .replace(/\*\*(.+?)\*\*/g, '$1') // Remove bold
-        .replace(/\*(.+?)\*/g, '$1') // Remove italic
-        .replace(/`(.+?)`/g, '$1') // Remove code
-        .replace(/\[(.+?)\]\(.+?\)/g, '$1'); // Remove links
-
-      const lowerContent = plainText.toLowerCase();
-      const lowerKeyword = keyword.toLowerCase();
-      
-      const index = lowerContent.indexOf(lowerKeyword);
-      if (index !== -1) {
-        // Count occurrences
-        const occurrences = (lowerContent.match(new RegExp(lowerKeyword, 'g')) || []).length;
-        
-        // Extract context (300 chars before and after)
-        const start = Math.max(0, index - 300);
-        const end = Math.min(plainText.length, index + keyword.length + 300);
-        const contextText = plainText.substring(start, end);
-        
-        // Get title from index
-        const id = path.basename(file, '.md');
-        const index_data = await FileUtils.readJsonFile(this.indexPath);
-        const title = index_data.items[id]?.title || 'Unknown';
-        
-        results.push({
-          name: title,
-          id: id,
-          position: index,
-          occurrences: occurrences,
-          result: `...${contextText}...`
-        });
-      }
+    let data = await this.searchIndex.load();
+    if (!data) {
+      await this.rebuildSearchIndex();
+      data = await this.searchIndex.load();
     }
 
-    // Sort by relevance (occurrences desc, then position asc)
-    results.sort((a, b) => {
-      if (a.occurrences !== b.occurrences) {
-        return b.occurrences - a.occurrences;
-      }
-      return a.position - b.position;
+    return SearchIndex.search(data, keyword, {
+      page,
+      page_size,
+      readFields: async id => SearchIndex.documentFields(await this.readRecord(id))
     });
+  }
 
-    return results;
+  /**
+   * Rebuild the persistent search index from every indexed record
+   */
+  async rebuildSearchIndex() {
+    const ids = await this.transaction(async (transaction) => {
+      const index = await transaction.readJsonFile(this.indexPath);
+      const records = [];
+      for (const id of Object.keys(index.items)) {
+        if (await transaction.exists(path.join(this.aidlDir, `${id}.md`))) {
+          records.push(await this.readRecord(id, transaction));
+        }
+      }
+      this.searchIndex.rebuild(transaction, records);
+      return records.map(record => record.id);
+    });
+    await this.searchIndex.prune(ids);
   }
 
   /**
    * Update AIDL status
    */
-  async updateStatus(id, newStatus) {
+  async updateStatus(id, newStatus, { author, reason } = {}) {
     await this.initialize();
 
     // Validate status transition
@@ -404,15 +1037,15 @@ ${aidlData.cost.ongoing.map(item => `  - ${item}`).join('\n')}
       throw error;
     }
 
-    // Update index
-    const updatedIndex = await FileUtils.updateJsonFileAtomic(this.indexPath, (currentIndex) => {
-      if (!currentIndex.items[id]) {
+    const updatedItem = await this.transaction(async (transaction) => {
+      const index = await transaction.readJsonFile(this.indexPath);
+      if (!index.items[id]) {
         const error = new Error(`AIDL '${id}' not found in index`);
         error.code = 'E_NOT_FOUND';
         throw error;
       }
 
-      const currentStatus = currentIndex.items[id].status;
+      const currentStatus = index.items[id].status;
       
       // Validate status transitions
       if (currentStatus === 'SUPERSEDED') {
@@ -421,199 +1054,1142 @@ ${aidlData.cost.ongoing.map(item => `  - ${item}`).join('\n')}
         throw error;
       }
 
-      // Update status
-      currentIndex.items[id].status = newStatus;
-      return currentIndex;
-    });
+      const allowedStatuses = this.config.status_transitions[currentStatus] || [];
+      if (!allowedStatuses.includes(newStatus)) {
+        const allowed = allowedStatuses.length > 0 ? allowedStatuses.join(', ') : 'none';
+        const error = new Error(`Cannot change status from ${currentStatus} to ${newStatus} (allowed: ${allowed})`);
+        error.code = 'E_CONFLICT';
+        throw error;
+      }
 
-    // Update markdown file
-    const markdownContent = await FileUtils.readFile(aidlPath);
-    const parsed = matter(markdownContent);
-    
-    // Update front matter
-    parsed.data.status = newStatus;
-    
-    // Update status line in content
-    const statusDisplay = newStatus.charAt(0) + newStatus.slice(1).toLowerCase();
-    const updatedContent = parsed.content.replace(
-      /^- \*\*Status\*\*:.*$/m,
-      `- **Status**: ${statusDisplay}`
-    );
-    
-    const newMarkdownContent = matter.stringify(updatedContent, parsed.data);
-    await FileUtils.writeFileAtomic(aidlPath, newMarkdownContent);
+      await this.ensureBaselineRevision(transaction, id);
+      const aidlData = await this.readRecord(id, transaction);
+
+      if (newStatus === 'ACCEPTED') {
+        this.assertReviewQuorum(aidlData);
+      }
+      if (newStatus === 'FINISHED' || newStatus === 'FAILED') {
+        this.assertCriteriaResolved(aidlData, newStatus);
+      }
+
+      // Entering a status with a review interval schedules the next review
+      aidlData.review_by = this.scheduleReview(aidlData.review_interval, newStatus) || aidlData.review_by;
+
+      // Update status in index and markdown
+      index.items[id].status = newStatus;
+      index.items[id].review_by = aidlData.review_by;
+      transaction.writeJsonFile(this.indexPath, index);
+
+      aidlData.status_history.push(this.createStatusHistoryEntry(currentStatus, newStatus, { reason, author }));
+      await this.stageRecord(transaction, index.items[id], aidlData, 'status', author);
+      return index.items[id];
+    });
 
     return {
       ok: true,
       message: `AIDL status updated to ${newStatus}`,
       id: id,
       status: newStatus,
-      date: updatedIndex.items[id].date
+      date: updatedItem.date
     };
   }
 
   /**
-   * Mark AIDL as superseded
+   * Latest verdict of each reviewer and whether the approval quorum is met
+   * (only assigned reviewers count when the AIDL has any)
+   */
+  reviewState(record) {
+    const latest = {};
+    for (const review of record.reviews || []) {
+      if (!review.outdated && (record.reviewers.length === 0 || record.reviewers.includes(review.reviewer))) {
+        latest[review.reviewer] = review.verdict;
+      }
+    }
+
+    const approvals = Object.keys(latest).filter(reviewer => latest[reviewer] === 'approve');
+    const objections = Object.keys(latest).filter(reviewer => latest[reviewer] !== 'approve');
+    // Without a configured quorum, every assigned reviewer must approve, and
+    // a decision without reviewers still needs one named approval; only an
+    // explicit `review.quorum: 0` lets decisions be accepted unreviewed
+    const quorum = this.config.review.quorum ?? Math.max(1, record.reviewers.length);
+
+    return {
+      quorum,
+      verdicts: latest,
+      approvals,
+      objections,
+      pending: record.reviewers.filter(reviewer => !latest[reviewer]),
+      met: approvals.length >= quorum && objections.length === 0
+    };
+  }
+
+  /**
+   * Refuse ACCEPTED until the quorum approved and no reviewer objects
    */
-  async supersede(id, supersededBy) {
+  assertReviewQuorum(record) {
+    const state = this.reviewState(record);
+    if (state.met) {
+      return;
+    }
+
+    const error = new Error(state.objections.length > 0
+      ? `Cannot accept '${record.id}': ${state.objections.map(reviewer => `${reviewer} (${VERDICT_LABELS[state.verdicts[reviewer]].toLowerCase()})`).join(', ')} must approve first`
+      : `Cannot accept '${record.id}': ${state.approvals.length} of ${state.quorum} required approvals`);
+    error.code = 'E_CONFLICT';
+    throw error;
+  }
+
+  /**
+   * Record a reviewer's verdict (approve, request_changes or reject) on a
+   * PROPOSED AIDL. An approval must name its reviewer: it is never
+   * credited to the default author.
+   */
+  async review(id, verdict, { reviewer, comment } = {}) {
     await this.initialize();
 
-    const aidlPath = path.join(this.aidlDir, `${id}.md`);
-    if (!(await FileUtils.exists(aidlPath))) {
-      const error = new Error(`AIDL with ID '${id}' not found`);
-      error.code = 'E_NOT_FOUND';
+    if (!REVIEW_VERDICTS.includes(verdict)) {
+      const error = new Error(`Invalid verdict: ${verdict} (expected ${REVIEW_VERDICTS.join(', ')})`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    if (verdict === 'approve' && !reviewer?.trim()) {
+      const error = new Error('An approval must name the reviewer who gives it');
+      error.code = 'E_INVALID';
       throw error;
     }
 
-    // Read index to validate superseded_by
-    const index = await FileUtils.readJsonFile(this.indexPath);
-    
-    // Check if superseded_by is an ID or ADR number
-    let supersededByAdrNo;
-    let supersededById;
-    
-    if (/^\d+$/.test(supersededBy)) {
-      // It's an ADR number
-      supersededByAdrNo = parseInt(supersededBy);
-      supersededById = Object.keys(index.items).find(
-        itemId => index.items[itemId].adr_no === supersededByAdrNo
-      );
-    } else {
-      // It's an ID
-      supersededById = supersededBy;
-      supersededByAdrNo = index.items[supersededById]?.adr_no;
+    const name = this.resolveAuthor(reviewer?.trim());
+
+    const aidlData = await this.transaction(async (transaction) => {
+      const index = await transaction.readJsonFile(this.indexPath);
+      const aidlData = await this.readRecord(id, transaction);
+
+      if (aidlData.status !== 'PROPOSED') {
+        const error = new Error(`Only PROPOSED AIDLs can be reviewed ('${id}' is ${aidlData.status})`);
+        error.code = 'E_CONFLICT';
+        throw error;
+      }
+      if (aidlData.reviewers.length > 0 && !aidlData.reviewers.includes(name)) {
+        const error = new Error(`'${name}' is not a reviewer of '${id}' (reviewers: ${aidlData.reviewers.join(', ')})`);
+        error.code = 'E_INVALID';
+        throw error;
+      }
+
+      await this.ensureBaselineRevision(transaction, id);
+
+      aidlData.reviews.push({
+        reviewer: name,
+        verdict,
+        comment: comment || '',
+        timestamp: new Date().toISOString()
+      });
+      index.items[id] = this.buildIndexItem({ ...index.items[id], ...this.toRecord(aidlData) });
+      transaction.writeJsonFile(this.indexPath, index);
+
+      await this.stageRecord(transaction, index.items[id], aidlData, 'review', name);
+      return aidlData;
+    });
+
+    const state = this.reviewState(aidlData);
+    return {
+      ok: true,
+      message: `Review recorded: ${VERDICT_LABELS[verdict]}`,
+      id,
+      reviewer: name,
+      verdict,
+      approvals: state.approvals,
+      quorum: state.quorum,
+      pending: state.pending,
+      can_accept: state.met
+    };
+  }
+
+  /**
+   * Refuse FINISHED while a criterion is pending, and FAILED unless one
+   * is not met (records without criteria are not gated)
+   */
+  assertCriteriaResolved(record, newStatus) {
+    const criteria = record.expected_result;
+    if (criteria.length === 0) {
+      return;
     }
 
-    if (!supersededById || !index.items[supersededById]) {
-      const error = new Error(`Superseding AIDL '${supersededBy}' not found`);
-      error.code = 'E_NOT_FOUND';
-      throw error;
+    const pending = criteria.filter(criterion => criterion.state === 'pending');
+    let message = null;
+    if (newStatus === 'FINISHED' && pending.length > 0) {
+      message = `acceptance criteria ${pending.map(criterion => criterion.id).join(', ')} are still pending`;
+    } else if (newStatus === 'FAILED' && !criteria.some(criterion => criterion.state === 'not_met')) {
+      message = 'no acceptance criterion is marked not met';
     }
 
-    if (supersededById === id) {
-      const error = new Error(`AIDL cannot supersede itself`);
-      error.code = 'E_INVALID';
+    if (message) {
+      const error = new Error(`Cannot change '${record.id}' to ${newStatus}: ${message} (see aidl_update_criteria)`);
+      error.code = 'E_CONFLICT';
       throw error;
     }
+  }
 
-    // Update index
-    const updatedIndex = await FileUtils.updateJsonFileAtomic(this.indexPath, (currentIndex) => {
-      currentIndex.items[id].status = 'SUPERSEDED';
-      currentIndex.items[id].superseded_by = supersededByAdrNo.toString();
-      return currentIndex;
-    });
+  /**
+   * Set the state and evidence of acceptance criteria by ID
+   */
+  async updateCriteria(id, updates = [], { author } = {}) {
+    await this.initialize();
 
-    // Update markdown file
-    const markdownContent = await FileUtils.readFile(aidlPath);
-    const parsed = matter(markdownContent);
-    
-    // Update front matter
-    parsed.data.status = 'SUPERSEDED';
-    
-    // Update status line in content
-    const statusDisplay = `Superseded by ADR-${supersededByAdrNo}`;
-    const updatedContent = parsed.content.replace(
-      /^- \*\*Status\*\*:.*$/m,
-      `- **Status**: ${statusDisplay}`
-    );
-    
-    const newMarkdownContent = matter.stringify(updatedContent, parsed.data);
-    await FileUtils.writeFileAtomic(aidlPath, newMarkdownContent);
+    for (const update of updates) {
+      if (update.state !== undefined && !CRITERION_STATES.includes(update.state)) {
+        const error = new Error(`Invalid criterion state: ${update.state} (expected ${CRITERION_STATES.join(', ')})`);
+        error.code = 'E_INVALID';
+        throw error;
+      }
+    }
+
+    const aidlData = await this.transaction(async (transaction) => {
+      const index = await transaction.readJsonFile(this.indexPath);
+      const aidlData = await this.readRecord(id, transaction);
+
+      if (aidlData.status === 'SUPERSEDED') {
+        const error = new Error(`Cannot update superseded AIDL`);
+        error.code = 'E_CONFLICT';
+        throw error;
+      }
+
+      for (const update of updates) {
+        const criterion = aidlData.expected_result.find(entry => entry.id === update.criterion_id);
+        if (!criterion) {
+          const error = new Error(`Acceptance criterion '${update.criterion_id}' of AIDL '${id}' not found (criteria: ${aidlData.expected_result.map(entry => entry.id).join(', ') || 'none'})`);
+          error.code = 'E_NOT_FOUND';
+          throw error;
+        }
+        criterion.state = update.state ?? criterion.state;
+        criterion.evidence = update.evidence ?? criterion.evidence;
+      }
+
+      await this.ensureBaselineRevision(transaction, id);
+      await this.stageRecord(transaction, index.items[id], aidlData, 'criteria', author);
+      return aidlData;
+    });
 
+    const counts = Object.fromEntries(CRITERION_STATES.map(state => [
+      state,
+      aidlData.expected_result.filter(criterion => criterion.state === state).length
+    ]));
     return {
       ok: true,
-      message: `AIDL superseded by ADR-${supersededByAdrNo}`,
-      id: id,
-      status: 'SUPERSEDED',
-      superseded_by: supersededByAdrNo.toString()
+      message: `Updated ${updates.length} acceptance ${updates.length === 1 ? 'criterion' : 'criteria'}`,
+      id,
+      criteria: aidlData.expected_result,
+      ...counts
     };
   }
 
   /**
-   * Update AIDL fields
+   * Add a comment to the discussion thread of an AIDL, optionally as a
+   * reply to another comment and anchored to a record section
    */
-  async update(params) {
+  async addComment(id, { body, author, reply_to, anchor } = {}) {
     await this.initialize();
 
-    const { id, ...updateFields } = params;
-    
-    // Validate that only allowed fields are being updated
-    const allowedFields = ['title', 'context', 'decision', 'rationale', 'assumptions', 'risks', 'cost', 'consequences', 'expected_result'];
-    const invalidFields = Object.keys(updateFields).filter(field => !allowedFields.includes(field));
-    
-    if (invalidFields.length > 0) {
-      const error = new Error(`Cannot update fields: ${invalidFields.join(', ')}`);
+    if (typeof body !== 'string' || !body.trim()) {
+      const error = new Error('Comment body must not be empty');
       error.code = 'E_INVALID';
       throw error;
     }
-
-    const aidlPath = path.join(this.aidlDir, `${id}.md`);
-    if (!(await FileUtils.exists(aidlPath))) {
-      const error = new Error(`AIDL with ID '${id}' not found`);
-      error.code = 'E_NOT_FOUND';
+    const sections = ['title', ...this.config.template.sections];
+    if (anchor && !sections.includes(anchor)) {
+      const error = new Error(`Unknown section '${anchor}' (expected one of ${sections.join(', ')})`);
+      error.code = 'E_INVALID';
       throw error;
     }
 
-    // Check if AIDL is superseded
+    const comment = await this.transaction(async (transaction) => {
+      // Validates that the AIDL exists and is indexed
+      await this.readRecord(id, transaction);
+
+      if (reply_to !== undefined && reply_to !== null) {
+        const comments = await this.comments.readAll(id, transaction);
+        if (!comments.some(item => item.comment_id === reply_to)) {
+          const error = new Error(`Comment ${reply_to} on AIDL '${id}' not found`);
+          error.code = 'E_NOT_FOUND';
+          throw error;
+        }
+      }
+
+      return this.comments.append(transaction, id, {
+        author: this.resolveAuthor(author),
+        body: body.trim(),
+        reply_to,
+        anchor
+      });
+    });
+
+    return {
+      ok: true,
+      message: `Comment ${comment.comment_id} added`,
+      id,
+      comment
+    };
+  }
+
+  /**
+   * Comments on an AIDL (open ones unless `include_resolved`), optionally
+   * only those anchored to one section
+   */
+  async listComments(id, { include_resolved = false, anchor } = {}) {
+    await this.initialize();
+
+    // Validates that the AIDL exists
+    await this.readRecord(id);
+
+    const comments = await this.comments.readAll(id);
+    const listed = comments
+      .map(comment => ({ ...comment, open: CommentStore.isOpen(comments, comment) }))
+      .filter(comment => include_resolved || comment.open)
+      .filter(comment => !anchor || comment.anchor === anchor);
+
+    return {
+      id,
+      total: comments.length,
+      open: comments.filter(comment => CommentStore.isOpen(comments, comment)).length,
+      comments: listed
+    };
+  }
+
+  /**
+   * Resolve a comment, closing it together with its replies
+   */
+  async resolveComment(id, commentId, { author } = {}) {
+    await this.initialize();
+
+    const comment = await this.transaction(async (transaction) => {
+      // Validates that the AIDL exists and is indexed
+      await this.readRecord(id, transaction);
+      return this.comments.resolve(transaction, id, commentId, { author: this.resolveAuthor(author) });
+    });
+
+    return {
+      ok: true,
+      message: `Comment ${commentId} resolved`,
+      id,
+      comment
+    };
+  }
+
+  /**
+   * Shared assumptions with the AIDLs relying on each
+   */
+  async listAssumptions({ status } = {}) {
+    await this.initialize();
+
+    const registry = await this.assumptions.read();
     const index = await FileUtils.readJsonFile(this.indexPath);
-    if (index.items[id]?.status === 'SUPERSEDED') {
-      const error = new Error(`Cannot update superseded AIDL`);
-      error.code = 'E_CONFLICT';
+
+    return {
+      assumptions: Object.values(registry.items)
+        .filter(item => !status || item.status === status)
+        .map(item => ({
+          ...item,
+          used_by: Object.values(index.items)
+            .filter(indexItem => (indexItem.assumptions || []).includes(item.id))
+            .map(indexItem => ({ id: indexItem.id, adr_no: indexItem.adr_no, status: indexItem.status }))
+        }))
+    };
+  }
+
+  /**
+   * Mark a shared assumption invalid and flag every PROPOSED or ACCEPTED
+   * AIDL relying on it as needing review
+   */
+  async invalidateAssumption(assumptionId, { reason, author } = {}) {
+    await this.initialize();
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      const error = new Error('A reason is required to invalidate an assumption');
+      error.code = 'E_INVALID';
       throw error;
     }
 
-    // Get current AIDL data
-    const currentData = await this.get(id);
-    
-    // Merge updates
-    const updatedData = { ...currentData, ...updateFields };
-
-    // Update title in index if provided
-    if (updateFields.title) {
-      await FileUtils.updateJsonFileAtomic(this.indexPath, (currentIndex) => {
-        currentIndex.items[id].title = updateFields.title;
-        return currentIndex;
+    const { assumption, flagged } = await this.transaction(async (transaction) => {
+      const assumption = await this.assumptions.invalidate(transaction, assumptionId, {
+        reason: reason.trim(),
+        author: this.resolveAuthor(author)
       });
-    }
 
-    // Regenerate markdown
-    const markdownContent = this.generateMarkdown(updatedData);
-    await FileUtils.writeFileAtomic(aidlPath, markdownContent);
+      const index = await transaction.readJsonFile(this.indexPath);
+      const flagged = Object.values(index.items)
+        .filter(item => ['PROPOSED', 'ACCEPTED'].includes(item.status) && (item.assumptions || []).includes(assumptionId))
+        .map(item => item.id);
+
+      for (const id of flagged) {
+        await this.ensureBaselineRevision(transaction, id);
+        const aidlData = await this.readRecord(id, transaction);
+        aidlData.needs_review.push({
+          assumption_id: assumptionId,
+          reason: assumption.invalidation.reason,
+          flagged_at: assumption.invalidation.timestamp
+        });
+        index.items[id] = this.buildIndexItem({ ...index.items[id], ...this.toRecord(aidlData) });
+        await this.stageRecord(transaction, index.items[id], aidlData, 'assumption', author);
+      }
+      transaction.writeJsonFile(this.indexPath, index);
+
+      return { assumption, flagged };
+    });
 
     return {
       ok: true,
-      message: "AIDL updated successfully",
-      id: id,
-      updated_fields: Object.keys(updateFields)
+      message: `Assumption ${assumptionId} invalidated; ${flagged.length} AIDL(s) flagged for review`,
+      assumption,
+      flagged
     };
   }
 
   /**
-   * List AIDLs with filtering and pagination
+   * Decisions whose review date has passed, and those due within
+   * `within_days` (rejected, failed and superseded ones are skipped)
    */
-  async list(params = {}) {
+  async dueForReview({ within_days = 30, ...filters } = {}) {
     await this.initialize();
 
-    const { status, from, to, page = 1, page_size = 20 } = params;
-    
+    const today = this.getCurrentDate();
+    const horizon = this.addInterval(today, `${within_days}d`);
     const index = await FileUtils.readJsonFile(this.indexPath);
-    let items = Object.values(index.items);
 
-    // Apply filters
-    if (status) {
-      items = items.filter(item => item.status === status);
-    }
+    const scheduled = this.filterItems(Object.values(index.items), filters)
+      .filter(item => item.review_by && !CLOSED_STATUSES.includes(item.status) && item.review_by <= horizon)
+      .sort((a, b) => a.review_by.localeCompare(b.review_by) || (a.adr_no - b.adr_no))
+      .map(item => ({
+        id: item.id,
+        adr_no: item.adr_no,
+        title: item.title,
+        status: item.status,
+        review_by: item.review_by,
+        review_interval: item.review_interval || '',
+        days_left: Math.round((Date.parse(item.review_by) - Date.parse(today)) / 86400000)
+      }));
 
-    if (from) {
-      const fromDate = new Date(from);
-      items = items.filter(item => new Date(item.date) >= fromDate);
-    }
+    return {
+      today,
+      within_days,
+      overdue: scheduled.filter(item => item.review_by < today),
+      upcoming: scheduled.filter(item => item.review_by >= today)
+    };
+  }
 
-    if (to) {
+  /**
+   * Record that a scheduled review happened: `reaffirm` and `amend` move
+   * the next review date (next_review_by, or today plus the interval);
+   * `supersede` retires the decision in favour of `superseded_by`
+   */
+  async recordReview(id, { outcome, notes, reviewer, next_review_by, superseded_by } = {}) {
+    await this.initialize();
+
+    if (!REVIEW_OUTCOMES.includes(outcome)) {
+      const error = new Error(`Invalid review outcome: ${outcome} (expected ${REVIEW_OUTCOMES.join(', ')})`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    if (outcome === 'supersede' && !superseded_by) {
+      const error = new Error('A supersede outcome needs superseded_by (ID or ADR number of the new decision)');
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    this.validateReviewSchedule({ review_by: next_review_by });
+
+    const name = this.resolveAuthor(reviewer);
+
+    const entry = await this.transaction(async (transaction) => {
+      const index = await transaction.readJsonFile(this.indexPath);
+      const aidlData = await this.readRecord(id, transaction);
+
+      if (CLOSED_STATUSES.includes(aidlData.status)) {
+        const error = new Error(`Cannot review ${aidlData.status} AIDL '${id}'`);
+        error.code = 'E_CONFLICT';
+        throw error;
+      }
+
+      let nextReviewBy = '';
+      if (outcome !== 'supersede') {
+        nextReviewBy = next_review_by || this.scheduleReview(aidlData.review_interval, aidlData.status);
+        if (!nextReviewBy) {
+          const error = new Error(`No review interval for '${id}' (${aidlData.status}): pass next_review_by, or set review_interval or review_intervals in config`);
+          error.code = 'E_INVALID';
+          throw error;
+        }
+      }
+
+      await this.ensureBaselineRevision(transaction, id);
+
+      const entry = {
+        timestamp: new Date().toISOString(),
+        reviewer: name,
+        outcome,
+        notes: notes || '',
+        next_review_by: nextReviewBy
+      };
+      aidlData.review_log.push(entry);
+      aidlData.review_by = nextReviewBy;
+      index.items[id] = this.buildIndexItem({ ...index.items[id], ...this.toRecord(aidlData) });
+      transaction.writeJsonFile(this.indexPath, index);
+      await this.stageRecord(transaction, index.items[id], aidlData, 'scheduled_review', name);
+
+      if (outcome === 'supersede') {
+        await this.stageSupersede(transaction, id, superseded_by, {
+          author: name,
+          reason: `Scheduled review: ${notes || 'superseded'}`
+        });
+      }
+
+      return entry;
+    });
+
+    return {
+      ok: true,
+      message: outcome === 'supersede'
+        ? `Review recorded; AIDL superseded by ${superseded_by}`
+        : `Review recorded; next review by ${entry.next_review_by}`,
+      id,
+      ...entry
+    };
+  }
+
+  /**
+   * Mark AIDL as superseded
+   */
+  async supersede(id, supersededBy, { author } = {}) {
+    await this.initialize();
+
+    const aidlPath = path.join(this.aidlDir, `${id}.md`);
+    if (!(await FileUtils.exists(aidlPath))) {
+      const error = new Error(`AIDL with ID '${id}' not found`);
+      error.code = 'E_NOT_FOUND';
+      throw error;
+    }
+
+    const supersededByAdrNo = await this.transaction(transaction => this.stageSupersede(transaction, id, supersededBy, { author }));
+
+    return {
+      ok: true,
+      message: `AIDL superseded by ADR-${supersededByAdrNo}`,
+      id: id,
+      status: 'SUPERSEDED',
+      superseded_by: supersededByAdrNo.toString()
+    };
+  }
+
+  /**
+   * Stage superseding an AIDL (both directions of the link) in a
+   * transaction and return the superseding ADR number
+   */
+  async stageSupersede(transaction, id, supersededBy, { author, reason } = {}) {
+    // Read index to validate superseded_by
+    const index = await transaction.readJsonFile(this.indexPath);
+    const items = index.items;
+    if (!items[id]) {
+      // Same errors as readRecord: the file may exist without an index entry
+      await this.readRecord(id, transaction);
+    }
+
+    // Check if superseded_by is an ID or ADR number
+    let supersededByAdrNo;
+    let supersededById;
+    
+    if (/^\d+$/.test(supersededBy)) {
+      // It's an ADR number
+      supersededByAdrNo = parseInt(supersededBy);
+      supersededById = this.findIdByAdrNo(items, supersededByAdrNo);
+    } else {
+      // It's an ID
+      supersededById = supersededBy;
+      supersededByAdrNo = items[supersededById]?.adr_no;
+    }
+
+    if (!supersededById || !items[supersededById]) {
+      const error = new Error(`Superseding AIDL '${supersededBy}' not found`);
+      error.code = 'E_NOT_FOUND';
+      throw error;
+    }
+
+    if (supersededById === id) {
+      const error = new Error(`AIDL cannot supersede itself`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+
+    // A rejected, failed or superseded decision cannot take over
+    if (CLOSED_STATUSES.includes(items[supersededById].status)) {
+      const error = new Error(`'${supersededById}' is ${items[supersededById].status} and cannot supersede another AIDL`);
+      error.code = 'E_CONFLICT';
+      throw error;
+    }
+
+    // Defensive invariant: an open superseder has no superseded_by link of
+    // its own, so this only trips on an index edited by hand or reverted
+    // into an inconsistent state
+    const chain = this.walkSupersededBy(items, supersededById);
+    if (chain.includes(id)) {
+      const error = new Error(`Superseding '${id}' by '${supersededById}' would create a cycle (${[...chain, supersededById].join(' -> ')})`);
+      error.code = 'E_CONFLICT';
+      throw error;
+    }
+
+    const previousStatus = items[id].status;
+    const adrNo = String(items[id].adr_no);
+    const previousSupersederId = this.findIdByAdrNo(items, items[id].superseded_by);
+    const linkedIds = [supersededById];
+    if (previousSupersederId && previousSupersederId !== supersededById) {
+      linkedIds.push(previousSupersederId);
+    }
+
+    // Snapshot every touched record before changing it
+    const aidlData = {};
+    for (const recordId of [id, ...linkedIds]) {
+      await this.ensureBaselineRevision(transaction, recordId);
+      aidlData[recordId] = await this.readRecord(recordId, transaction);
+    }
+
+    // Update index (both directions of the link)
+    if (linkedIds.includes(previousSupersederId)) {
+      items[previousSupersederId].supersedes = (items[previousSupersederId].supersedes || [])
+        .filter(no => no !== adrNo);
+    }
+    items[id].status = 'SUPERSEDED';
+    items[id].superseded_by = supersededByAdrNo.toString();
+    items[supersededById].supersedes = [...new Set([...(items[supersededById].supersedes || []), adrNo])];
+    transaction.writeJsonFile(this.indexPath, index);
+
+    // Regenerate markdown files from the full records
+    aidlData[id].status_history.push(this.createStatusHistoryEntry(previousStatus, 'SUPERSEDED', {
+      reason: reason || `Superseded by ADR-${supersededByAdrNo}`,
+      author
+    }));
+    for (const recordId of [id, ...linkedIds]) {
+      await this.stageRecord(transaction, items[recordId], aidlData[recordId], 'supersede', author);
+    }
+
+    return supersededByAdrNo;
+  }
+
+  /**
+   * Update AIDL fields
+   */
+  async update(params, { action = 'update' } = {}) {
+    await this.initialize();
+
+    const { id, author, ...updateFields } = params;
+    
+    // Validate that only allowed fields are being updated
+    const invalidFields = Object.keys(updateFields).filter(field => !this.editableFields().includes(field));
+    
+    if (invalidFields.length > 0) {
+      const error = new Error(`Cannot update fields: ${invalidFields.join(', ')}`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    this.validateCustomFields(updateFields);
+    this.validateReviewSchedule(updateFields);
+
+    const aidlPath = path.join(this.aidlDir, `${id}.md`);
+    if (!(await FileUtils.exists(aidlPath))) {
+      const error = new Error(`AIDL with ID '${id}' not found`);
+      error.code = 'E_NOT_FOUND';
+      throw error;
+    }
+
+    let outdatedReviews = 0;
+    const revision = await this.transaction(async (transaction) => {
+      // Check if AIDL is superseded
+      const index = await transaction.readJsonFile(this.indexPath);
+      if (index.items[id]?.status === 'SUPERSEDED') {
+        const error = new Error(`Cannot update superseded AIDL`);
+        error.code = 'E_CONFLICT';
+        throw error;
+      }
+
+      await this.ensureBaselineRevision(transaction, id);
+
+      // Get current AIDL data and merge updates
+      const currentData = await this.readRecord(id, transaction);
+      const updatedData = { ...currentData, ...updateFields };
+
+      // A new interval reschedules the next review unless a date is given
+      if (updateFields.review_interval && updateFields.review_by === undefined) {
+        updatedData.review_by = this.addInterval(this.getCurrentDate(), updateFields.review_interval);
+      }
+      if (updateFields.assumptions) {
+        updatedData.assumptions = await this.assumptions.resolve(transaction, updateFields.assumptions, { existing: currentData.assumptions });
+      }
+      if (updateFields.expected_result) {
+        updatedData.expected_result = this.normalizeCriteria(updateFields.expected_result, currentData.expected_result);
+      }
+
+      if (updateFields.relations) {
+        updatedData.relations = this.validateRelations(id, updateFields.relations, index.items);
+      }
+
+      // Reviews were given on the previous text
+      const before = this.toRecord(currentData);
+      const after = this.toRecord(updatedData);
+      if (REVIEWED_FIELDS.some(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))) {
+        outdatedReviews = before.reviews.filter(review => !review.outdated).length;
+        updatedData.reviews = before.reviews.map(review => ({ ...review, outdated: true }));
+      }
+
+      // Keep the indexed fields (title, relations, labels) in sync
+      index.items[id] = this.buildIndexItem({
+        ...index.items[id],
+        ...this.toRecord(updatedData)
+      });
+      transaction.writeJsonFile(this.indexPath, index);
+
+      // Regenerate markdown
+      return this.stageRecord(transaction, index.items[id], updatedData, action, author);
+    });
+
+    return {
+      ok: true,
+      message: "AIDL updated successfully",
+      id: id,
+      revision: revision.revision,
+      updated_fields: Object.keys(updateFields),
+      outdated_reviews: outdatedReviews
+    };
+  }
+
+  /**
+   * List the revisions of an AIDL
+   */
+  async history(id) {
+    await this.initialize();
+
+    // Validates that the AIDL exists
+    await this.readRecord(id);
+
+    const revisions = await this.revisions.readAll(id);
+    return {
+      id,
+      revisions: revisions.map((entry, i) => ({
+        revision: entry.revision,
+        timestamp: entry.timestamp,
+        author: entry.author,
+        action: entry.action,
+        git: entry.git || null,
+        changed_fields: i === 0
+          ? []
+          : RevisionStore.diff(revisions[i - 1].record, entry.record).map(change => change.field)
+      }))
+    };
+  }
+
+  /**
+   * Field-level diff between two revisions of an AIDL
+   * (defaults to comparing against the latest revision)
+   */
+  async diff(id, fromRevision, toRevision) {
+    await this.initialize();
+
+    const revisions = await this.revisions.readAll(id);
+    if (revisions.length === 0) {
+      const error = new Error(`AIDL '${id}' has no revision history`);
+      error.code = 'E_NOT_FOUND';
+      throw error;
+    }
+
+    const toNo = toRevision ?? revisions[revisions.length - 1].revision;
+    const from = await this.revisions.read(id, fromRevision);
+    const to = await this.revisions.read(id, toNo);
+
+    return {
+      id,
+      from: from.revision,
+      to: to.revision,
+      changes: RevisionStore.diff(from.record, to.record)
+    };
+  }
+
+  /**
+   * Restore the editable fields of an earlier revision as a new revision
+   */
+  async revert(id, revision, { author } = {}) {
+    await this.initialize();
+
+    const entry = await this.revisions.read(id, revision);
+    const restoredFields = {};
+    for (const field of this.editableFields()) {
+      if (entry.record[field] !== undefined) {
+        restoredFields[field] = entry.record[field];
+      }
+    }
+
+    const result = await this.update({ id, author, ...restoredFields }, { action: 'revert' });
+
+    return {
+      ok: true,
+      message: `AIDL reverted to revision ${revision}`,
+      id,
+      restored_revision: revision,
+      revision: result.revision
+    };
+  }
+
+  /**
+   * Check index.json against the markdown files, optionally rebuilding the index
+   */
+  async doctor({ fix = false } = {}) {
+    await FileUtils.ensureDir(this.aidlDir);
+    this.config = await ProjectConfig.load(this.baseDir);
+    const doctor = new AidlDoctor(this);
+    return fix ? doctor.fix() : doctor.check();
+  }
+
+  /**
+   * Export the AIDLs matching the list() filters as HTML, markdown, JSON or CSV
+   */
+  async export(params = {}) {
+    await this.initialize();
+    return new AidlExporter(this).export(params);
+  }
+
+  /**
+   * Import adr-tools, MADR or Nygard-style ADR files from a directory
+   */
+  async importAdrs(params = {}) {
+    await this.initialize();
+    return new AdrImporter(this).import(params);
+  }
+
+  /**
+   * Find the ID of the AIDL with the given ADR number
+   */
+  findIdByAdrNo(items, adrNo) {
+    if (adrNo === undefined || adrNo === null || adrNo === '') {
+      return undefined;
+    }
+    return Object.keys(items).find(itemId => String(items[itemId].adr_no) === String(adrNo));
+  }
+
+  /**
+   * Follow superseded_by links from an AIDL, returning the visited IDs
+   * (the input first); stops on a missing link or a cycle
+   */
+  walkSupersededBy(items, id) {
+    const chain = [];
+    let cursor = id;
+
+    while (cursor && items[cursor] && !chain.includes(cursor)) {
+      chain.push(cursor);
+      cursor = this.findIdByAdrNo(items, items[cursor].superseded_by);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Supersede lineage of an AIDL: the chain forward to the decision
+   * currently in force and every record it transitively replaced
+   */
+  async lineage(id) {
+    await this.initialize();
+
+    const index = await FileUtils.readJsonFile(this.indexPath);
+    const items = index.items;
+
+    if (!items[id]) {
+      const error = new Error(`AIDL with ID '${id}' not found`);
+      error.code = 'E_NOT_FOUND';
+      throw error;
+    }
+
+    const summarize = (itemId) => ({
+      id: itemId,
+      adr_no: items[itemId].adr_no,
+      title: items[itemId].title,
+      status: items[itemId].status,
+      superseded_by: items[itemId].superseded_by || '',
+      supersedes: items[itemId].supersedes || []
+    });
+
+    const chain = this.walkSupersededBy(items, id);
+    const current = chain[chain.length - 1];
+
+    // Breadth-first walk back through supersedes links
+    const predecessors = [];
+    const seen = new Set(chain);
+    let frontier = [id];
+    while (frontier.length > 0) {
+      const next = [];
+      for (const itemId of frontier) {
+        for (const adrNo of items[itemId].supersedes || []) {
+          const predecessorId = this.findIdByAdrNo(items, adrNo);
+          if (predecessorId && !seen.has(predecessorId)) {
+            seen.add(predecessorId);
+            predecessors.push(summarize(predecessorId));
+            next.push(predecessorId);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return {
+      id,
+      chain: chain.map(summarize),
+      current: summarize(current),
+      in_force: IN_FORCE_STATUSES.includes(items[current].status),
+      predecessors
+    };
+  }
+
+  /**
+   * Relation graph of the whole log, or of the neighbourhood of one AIDL
+   */
+  async graph({ id, depth = 1 } = {}) {
+    await this.initialize();
+
+    const index = await FileUtils.readJsonFile(this.indexPath);
+    const graph = DecisionGraph.fromItems(index.items);
+
+    return id ? graph.neighbourhood(id, depth).toJSON() : graph.toJSON();
+  }
+
+  /**
+   * Filter index items by status, "needs review" flag, date range and
+   * labels (an item must carry every requested tag, component and owner)
+   */
+  filterItems(items, { status, from, to, tags, components, owners, needs_review } = {}) {
+    let filtered = items;
+
+    if (status) {
+      filtered = filtered.filter(item => item.status === status);
+    }
+
+    if (needs_review !== undefined) {
+      filtered = filtered.filter(item => Boolean(item.needs_review) === needs_review);
+    }
+
+    if (from) {
+      const fromDate = new Date(from);
+      filtered = filtered.filter(item => new Date(item.date) >= fromDate);
+    }
+
+    if (to) {
       const toDate = new Date(to);
-      items = items.filter(item => new Date(item.date) <= toDate);
+      filtered = filtered.filter(item => new Date(item.date) <= toDate);
+    }
+
+    const labelFilters = {
+      tags: this.normalizeLabels(tags, { lowercase: true }),
+      components: this.normalizeLabels(components),
+      owners: this.normalizeLabels(owners)
+    };
+    for (const field of LABEL_FIELDS) {
+      if (labelFilters[field].length > 0) {
+        filtered = filtered.filter(item =>
+          labelFilters[field].every(label => (item[field] || []).includes(label))
+        );
+      }
     }
 
+    return filtered;
+  }
+
+  /**
+   * Risk register across the log: every risk of the AIDLs matching the
+   * filters (ACCEPTED ones by default) in a probability ×
+   * impact matrix, with HIGH/HIGH risks, weak mitigations and overdue
+   * re-assessments called out
+   */
+  async risks({ status, ...filters } = {}) {
+    await this.initialize();
+
+    const statuses = status ? [status].flat() : DEFAULT_RISK_STATUSES;
+    const index = await FileUtils.readJsonFile(this.indexPath);
+    const items = this.filterItems(Object.values(index.items), filters)
+      .filter(item => statuses.includes(item.status));
+
+    const records = [];
+    for (const item of items) {
+      records.push(await this.readRecord(item.id));
+    }
+
+    return {
+      statuses,
+      decisions: records.length,
+      ...RiskRegister.build(records, { today: this.getCurrentDate() })
+    };
+  }
+
+  /**
+   * Root of the working tree the storage directory lives in
+   * (`<root>/.vce`), against which governed paths are resolved
+   */
+  workspaceRoot() {
+    return path.dirname(path.resolve(this.baseDir));
+  }
+
+  /**
+   * Decisions (ACCEPTED ones by default) governing any of the given
+   * repository paths, most specific match first
+   */
+  async forPath(paths = [], { status = 'ACCEPTED' } = {}) {
+    await this.initialize();
+
+    const root = this.workspaceRoot();
+    const lookups = [paths].flat().map(filePath => CodePaths.normalizePath(filePath, root));
+    const index = await FileUtils.readJsonFile(this.indexPath);
+    const decisions = [];
+
+    for (const item of this.filterItems(Object.values(index.items), { status })) {
+      const matches = [];
+      for (const filePath of lookups) {
+        for (const pattern of item.paths || []) {
+          if (CodePaths.matches(pattern, filePath)) {
+            matches.push({ path: filePath, pattern, specificity: CodePaths.specificity(pattern) });
+          }
+        }
+      }
+      if (matches.length > 0) {
+        matches.sort((a, b) => b.specificity - a.specificity);
+        decisions.push({
+          id: item.id,
+          adr_no: item.adr_no,
+          title: item.title,
+          status: item.status,
+          specificity: matches[0].specificity,
+          matches
+        });
+      }
+    }
+
+    decisions.sort((a, b) => (b.specificity - a.specificity) || (a.adr_no - b.adr_no));
+    return { paths: lookups, decisions };
+  }
+
+  /**
+   * Governed path patterns that no longer match any file in the working
+   * tree (rejected, failed and superseded decisions are skipped). In a git
+   * repository the files are the ones git lists, so ignored build output
+   * does not keep a pattern alive.
+   */
+  async checkPaths() {
+    await this.initialize();
+
+    const root = this.workspaceRoot();
+    const storageDir = path.relative(root, path.resolve(this.baseDir)).split(path.sep).join('/');
+    const listed = await this.git.listFiles();
+    const files = listed
+      ? listed.filter(filePath => !CodePaths.matches(storageDir, filePath))
+      : await CodePaths.listFiles(root, { skip: [storageDir] });
+    const index = await FileUtils.readJsonFile(this.indexPath);
+    const items = Object.values(index.items)
+      .filter(item => (item.paths || []).length > 0 && !CLOSED_STATUSES.includes(item.status))
+      .sort((a, b) => a.adr_no - b.adr_no);
+
+    const stale = [];
+    let checked = 0;
+    for (const item of items) {
+      for (const pattern of item.paths) {
+        checked++;
+        if (!files.some(filePath => CodePaths.matches(pattern, filePath))) {
+          stale.push({ id: item.id, adr_no: item.adr_no, title: item.title, status: item.status, pattern });
+        }
+      }
+    }
+
+    return { ok: stale.length === 0, files: files.length, checked, stale };
+  }
+
+  /**
+   * Decisions created, re-statused or edited since a git commit, tag or
+   * branch, or since a date (YYYY-MM-DD or ISO 8601 timestamp), with a
+   * markdown summary for PR descriptions. Since a ref, a revision counts
+   * when it was made on that commit or a commit after it on the current
+   * branch; revisions made before commits were recorded count by time.
+   */
+  async changesSince(since) {
+    await this.initialize();
+
+    let window;
+    let label;
+    let includes;
+    if (/^\d{4}-\d{2}-\d{2}(?:[T ].*)?$/.test(since)) {
+      const time = Date.parse(since);
+      if (Number.isNaN(time)) {
+        const error = new Error(`Invalid date: ${since}`);
+        error.code = 'E_INVALID';
+        throw error;
+      }
+      window = { date: new Date(time).toISOString() };
+      label = since;
+      includes = entry => Date.parse(entry.timestamp) >= time;
+    } else {
+      const { commit, date } = await this.git.resolve(since);
+      const commits = await this.git.commitsSince(commit);
+      window = { ref: since, commit, date };
+      label = `\`${since}\` (${commit.slice(0, 7)})`;
+      // Commit dates have whole seconds: that second counts as before the commit
+      const after = Date.parse(date) + 1000;
+      includes = entry => (entry.git?.commit
+        ? commits.has(entry.git.commit)
+        : Date.parse(entry.timestamp) >= after);
+    }
+
+    const index = await FileUtils.readJsonFile(this.indexPath);
+    const decisions = [];
+    for (const item of Object.values(index.items).sort((a, b) => a.adr_no - b.adr_no)) {
+      const summary = ChangeSummary.forRecord(await this.revisions.readAll(item.id), includes);
+      if (summary) {
+        decisions.push(summary);
+      }
+    }
+
+    return {
+      since: window,
+      head: await this.git.head(),
+      total: decisions.length,
+      decisions,
+      markdown: ChangeSummary.toMarkdown(decisions, label)
+    };
+  }
+
+  /**
+   * Existing tags (or components / owners) with usage counts
+   */
+  async labels({ field = 'tags', status } = {}) {
+    await this.initialize();
+
+    if (!LABEL_FIELDS.includes(field)) {
+      const error = new Error(`Unknown label field: ${field}`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+
+    const index = await FileUtils.readJsonFile(this.indexPath);
+    const counts = {};
+    for (const item of this.filterItems(Object.values(index.items), { status })) {
+      for (const label of item[field] || []) {
+        counts[label] = (counts[label] || 0) + 1;
+      }
+    }
+
+    return {
+      field,
+      values: Object.entries(counts)
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => (b.count - a.count) || a.value.localeCompare(b.value))
+    };
+  }
+
+  /**
+   * List AIDLs with filtering and pagination
+   */
+  async list(params = {}) {
+    await this.initialize();
+
+    const { page = 1, page_size = 20 } = params;
+    
+    const index = await FileUtils.readJsonFile(this.indexPath);
+    const items = this.filterItems(Object.values(index.items), params);
+
     // Sort by date (most recent first)
     items.sort((a, b) => new Date(b.date) - new Date(a.date));
 
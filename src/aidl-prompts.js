@@ -0,0 +1,155 @@
+import { SearchIndex } from './search-index.js';
+
+// Number of related records pulled into a drafting prompt
+const RELATED_LIMIT = 5;
+
+/**
+ * AIDL Prompts - Builds MCP prompt messages for drafting, reviewing and
+ * closing decisions, pulling the relevant records through the manager
+ */
+export class AidlPrompts {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  /**
+   * Wrap prompt text as a single user message
+   */
+  static userMessage(text, description) {
+    return {
+      description,
+      messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
+  }
+
+  /**
+   * Short one-line summary of an index item
+   */
+  static summarize(item) {
+    return `- ${item.id} (ADR-${item.adr_no}, ${item.status}): ${item.name ?? item.title}`;
+  }
+
+  /**
+   * Draft a new AIDL from a problem statement
+   */
+  async draft({ problem }) {
+    const terms = [...new Set(SearchIndex.tokenize(problem).map(token => token.term))];
+    const related = terms.length > 0
+      ? (await this.manager.detailSearch(terms.join(' OR '), { page_size: RELATED_LIMIT })).items
+      : [];
+    const tags = (await this.manager.labels()).values.map(({ value, count }) => `${value} (${count})`);
+    const assumptions = (await this.manager.listAssumptions({ status: 'valid' })).assumptions
+      .map(item => `- ${item.id}: ${item.text}`);
+    const customFields = Object.entries(this.manager.config.custom_fields)
+      .map(([name, field]) => `- \`${name}\`${field.required ? ' (required)' : ''}: ${field.description || field.heading}${field.type === 'enum' ? ` (one of ${field.values.join(', ')})` : ''}.\n`)
+      .join('');
+
+    const text = `Draft an Agent Important Decision Log (AIDL) entry for the problem below, then create it with the \`aidl_create\` tool.
+
+## Problem statement
+${problem}
+
+## Existing decisions that may be related
+${related.length > 0 ? related.map(item => AidlPrompts.summarize(item)).join('\n') : '(none found)'}
+
+Read the related decisions with \`aidl_get\` before drafting. Record real links through \`relations\` (depends_on, amends, relates_to, conflicts_with) and do not contradict an ACCEPTED decision without saying so.
+
+## Existing tags
+${tags.length > 0 ? tags.join(', ') : '(none yet)'}
+
+Reuse existing tags instead of inventing near-duplicates.
+
+## Shared assumptions
+${assumptions.length > 0 ? assumptions.join('\n') : '(none yet)'}
+
+Refer to a shared assumption by its ID in \`assumptions\` when the decision relies on it, so that invalidating it later flags this decision too.
+
+## What a complete draft contains
+- \`title\`: one sentence starting with a verb.
+- \`id\`: lowercase letters, digits and underscores, 3-65 characters, starting with a letter.
+- \`context\`: business goal, current situation, constraints and what triggered the decision.
+- \`decision\`: what is chosen, its scope, explicit non-goals and boundaries.
+- \`rationale\`: the drivers and the alternatives considered, with why each was rejected.
+- \`assumptions\`: every fact the decision relies on that could turn out false.
+- \`risks\`: at least two risks, each with probability, impact (LOW/MED/HIGH) and a concrete mitigation.
+- \`consequences\`: positive outcomes and negative trade-offs; neither list may be empty.
+- \`cost\`: one-off and ongoing costs.
+- \`expected_result\`: measurable acceptance criteria that someone can later verify (each gets an ID such as AC1 and starts pending).
+${customFields}
+Ask for missing information instead of guessing when the problem statement does not support a field.`;
+
+    return AidlPrompts.userMessage(text, 'Draft a new AIDL from a problem statement');
+  }
+
+  /**
+   * Critically review an existing AIDL
+   */
+  async review({ id }) {
+    const record = await this.manager.get(id);
+    const markdown = await this.manager.getMarkdown(id);
+    const graph = await this.manager.graph({ id });
+    const neighbours = graph.nodes.filter(node => node.id !== id);
+    const { comments } = await this.manager.listComments(id);
+
+    const text = `Critically review the decision ${id} (ADR-${record.adr_no}, currently ${record.status}).
+
+## Record
+${markdown}
+
+## Linked decisions
+${neighbours.length > 0 ? neighbours.map(node => AidlPrompts.summarize(node)).join('\n') : '(none)'}
+${graph.edges.length > 0 ? `\nLinks:\n${graph.edges.map(edge => `- ${edge.from} ${edge.type} ${edge.to}`).join('\n')}` : ''}
+
+## Open comments
+${comments.length > 0 ? comments.map(comment => `- #${comment.comment_id} ${comment.author}${comment.anchor ? ` on ${comment.anchor}` : ''}${comment.reply_to ? ` (reply to #${comment.reply_to})` : ''}: ${comment.body}`).join('\n') : '(none)'}
+
+## Review checklist
+1. Is the context specific enough that a newcomer understands why a decision was needed?
+2. Does the rationale compare real alternatives, or does it only restate the decision?
+3. Which assumptions are untested, and what would invalidate them?
+4. Which risks are missing, and are the mitigations concrete actions rather than intentions?
+5. Are the negative consequences and costs honest and complete?
+6. Can every acceptance criterion be verified objectively?
+7. Does the decision conflict with any linked or ACCEPTED decision?
+
+Give a verdict (approve, request changes or reject) and list each requested change as a concrete \`aidl_update\` edit. The verdict is a recommendation: the assigned reviewers record their own with \`aidl_review\`.`;
+
+    return AidlPrompts.userMessage(text, `Review ${id}`);
+  }
+
+  /**
+   * Closing retrospective before moving an AIDL to FINISHED or FAILED
+   */
+  async retrospective({ id, outcome }) {
+    const record = await this.manager.get(id);
+    const markdown = await this.manager.getMarkdown(id);
+    const history = await this.manager.history(id);
+
+    const statusLines = (record.status_history || [])
+      .map(entry => `- ${entry.timestamp}: ${entry.from ?? '(new)'} -> ${entry.to}${entry.reason ? ` (${entry.reason})` : ''}`);
+    const revisionLines = history.revisions
+      .map(entry => `- r${entry.revision} ${entry.timestamp} by ${entry.author}: ${entry.action}${entry.changed_fields.length > 0 ? ` [${entry.changed_fields.join(', ')}]` : ''}`);
+
+    const text = `Write a closing retrospective for the decision ${id} (ADR-${record.adr_no}, currently ${record.status})${outcome ? ` before moving it to ${outcome}` : ' before moving it to FINISHED or FAILED'}.
+
+## Record
+${markdown}
+
+## Status history
+${statusLines.length > 0 ? statusLines.join('\n') : '(none recorded)'}
+
+## Revisions
+${revisionLines.length > 0 ? revisionLines.join('\n') : '(none recorded)'}
+
+## Retrospective
+1. For each acceptance criterion (AC1, AC2, ...), state whether it was met, with evidence, and record it with \`aidl_update_criteria\`: FINISHED needs every criterion resolved, FAILED needs at least one not met.
+2. For each risk, state whether it materialised and whether the mitigation worked.
+3. For each assumption, state whether it held.
+4. Compare the actual consequences and costs with the ones recorded.
+5. List the lessons that future decisions should reuse.
+
+Finish with a recommendation of FINISHED or FAILED and the reason to pass to \`aidl_update_status\`.`;
+
+    return AidlPrompts.userMessage(text, `Retrospective for ${id}`);
+  }
+}
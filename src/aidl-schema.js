@@ -0,0 +1,149 @@
+import { z } from 'zod';
+import { CRITERION_STATES } from './aidl-manager.js';
+
+// Factories rather than shared instances: a schema used twice in one tool
+// would be advertised as a JSON Schema $ref, which some clients cannot follow
+const level = () => z.enum(['LOW', 'MED', 'HIGH']);
+const date = () => z.string().regex(/^\d{4}-\d{2}-\d{2}$/);
+const interval = () => z.string().regex(/^\d+[dwmy]$/);
+
+const risk = () => z.object({
+  probability: level(),
+  impact: level(),
+  mitigation: z.string(),
+  owner: z.string().optional().describe('Who tracks this risk'),
+  reassess_by: date().optional().describe('Date (YYYY-MM-DD) by which the risk should be re-assessed')
+});
+
+const relations = () => z.object({
+  depends_on: z.array(z.string()).optional(),
+  amends: z.array(z.string()).optional(),
+  relates_to: z.array(z.string()).optional(),
+  conflicts_with: z.array(z.string()).optional()
+});
+
+/**
+ * AIDL Schema - zod shapes of the AIDL fields, shared by the aidl_create
+ * and aidl_update tool schemas and the CLI
+ */
+export class AidlSchema {
+  /**
+   * Arguments of aidl_create, with the given custom fields (from a
+   * resolved project config)
+   */
+  static createShape(customFields = {}) {
+    return {
+      title: z.string().describe('One-sentence summary of the decision (preferably starting with a verb)'),
+      id: z.string().regex(/^[a-z][a-z0-9_]{2,64}$/).describe('Unique identifier: lowercase letters, numbers, underscores only'),
+      context: z.string().describe('Business goals, current situation, constraints, and triggering issues'),
+      decision: z.string().describe('What was chosen, scope, non-goals, and boundaries'),
+      rationale: z.string().describe('Key drivers and trade-offs behind the decision'),
+      assumptions: z.array(z.string()).describe('Assumptions this decision is based on: new texts, or IDs (e.g. A3) of shared assumptions to reuse (see aidl_assumptions)'),
+      risks: z.record(risk()).describe('Risk assessment with mitigation strategies'),
+      cost: z.object({
+        one_off: z.array(z.string()).describe('One-time costs'),
+        ongoing: z.array(z.string()).describe('Ongoing costs')
+      }),
+      consequences: z.object({
+        positive: z.array(z.string()).describe('Positive outcomes'),
+        negative: z.array(z.string()).describe('Negative impacts or trade-offs')
+      }),
+      expected_result: z.array(z.string()).describe('Success criteria and acceptance standards (each gets an ID such as AC1 and starts pending)'),
+      relations: relations().optional().describe('Typed relations to existing AIDL IDs'),
+      tags: z.array(z.string()).optional().describe('Topic tags (reuse existing tags, see aidl_tags)'),
+      components: z.array(z.string()).optional().describe('Components or services this decision is about'),
+      owners: z.array(z.string()).optional().describe('People or teams owning this decision'),
+      reviewers: z.array(z.string()).optional().describe('People who must sign off before the AIDL can be ACCEPTED (see aidl_review)'),
+      paths: z.array(z.string()).optional().describe('Files, directories or glob patterns (relative to the workspace root, e.g. src/api/** or docs/adr.md) this decision governs (see aidl_for_path)'),
+      review_by: date().optional().describe('Date (YYYY-MM-DD) by which the decision should be reviewed again'),
+      review_interval: interval().optional().describe('How often to review the decision, e.g. 90d, 12w, 6m or 1y (defaults to review_intervals in config)'),
+      author: z.string().optional().describe('Who made this change (recorded in revision history)'),
+      ...AidlSchema.customFieldShape(customFields)
+    };
+  }
+
+  /**
+   * Arguments of aidl_update: every field but the ID is optional, and
+   * lists replace the stored ones
+   */
+  static updateShape(customFields = {}) {
+    return {
+      id: z.string().describe('AIDL identifier'),
+      title: z.string().optional(),
+      context: z.string().optional(),
+      decision: z.string().optional(),
+      rationale: z.string().optional(),
+      assumptions: z.array(z.union([
+        z.string(),
+        z.object({ id: z.string().nullable().optional(), text: z.string().optional() })
+      ])).optional().describe('Assumptions (replaces all): texts, shared assumption IDs such as A3, or { id, text } entries whose text must match the shared assumption (shared assumptions cannot be reworded)'),
+      risks: z.record(risk()).optional(),
+      cost: z.object({
+        one_off: z.array(z.string()),
+        ongoing: z.array(z.string())
+      }).optional(),
+      consequences: z.object({
+        positive: z.array(z.string()),
+        negative: z.array(z.string())
+      }).optional(),
+      expected_result: z.array(z.union([
+        z.string(),
+        z.object({
+          id: z.string().optional().describe('Existing criterion ID (e.g. AC1) to keep its state'),
+          text: z.string(),
+          state: z.enum(CRITERION_STATES).optional(),
+          evidence: z.string().optional()
+        })
+      ])).optional().describe('Acceptance criteria (replaces all; plain strings keep the state of an existing criterion with the same text)'),
+      relations: relations().optional().describe('Typed relations to existing AIDL IDs (replaces all relations)'),
+      tags: z.array(z.string()).optional(),
+      components: z.array(z.string()).optional(),
+      owners: z.array(z.string()).optional(),
+      reviewers: z.array(z.string()).optional(),
+      paths: z.array(z.string()).optional().describe('Governed files, directories or glob patterns (replaces all)'),
+      review_by: date().optional().describe('Next review date (YYYY-MM-DD)'),
+      review_interval: interval().optional().describe('Review interval such as 90d or 6m (reschedules the next review unless review_by is given)'),
+      author: z.string().optional().describe('Who made this change (recorded in revision history)'),
+      ...AidlSchema.customFieldShape(customFields, { clearable: true })
+    };
+  }
+
+  /**
+   * Custom fields as optional arguments typed by their definition. Whether
+   * one is required is left to the manager, which checks the values
+   * against the config of the workspace actually written to; `clearable`
+   * also accepts '' for enum fields, which clears them.
+   */
+  static customFieldShape(customFields = {}, { clearable = false } = {}) {
+    const shape = {};
+    for (const [name, field] of Object.entries(customFields)) {
+      let schema = field.type === 'list'
+        ? z.array(z.string())
+        : field.type === 'enum' ? z.enum(field.values) : z.string();
+      if (clearable && field.type === 'enum') {
+        schema = schema.or(z.literal(''));
+      }
+      const description = field.description || field.heading;
+      shape[name] = schema.optional().describe(field.required ? `${description} (required)` : description);
+    }
+    return shape;
+  }
+
+  /**
+   * Parse values against a zod schema, throwing E_INVALID that lists every
+   * problem by field
+   */
+  static parse(schema, values, label = 'Invalid AIDL') {
+    const result = schema.safeParse(values);
+    if (result.success) {
+      return result.data;
+    }
+
+    const problems = result.error.issues.map(issue => (
+      issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+    ));
+    const error = new Error(`${label}: ${problems.join('; ')}`);
+    error.code = 'E_INVALID';
+    throw error;
+  }
+}
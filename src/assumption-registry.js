@@ -0,0 +1,135 @@
+import path from 'path';
+import { FileUtils } from './file-utils.js';
+
+// ID of a shared assumption, e.g. A3
+const ASSUMPTION_ID = /^A\d+$/;
+
+/**
+ * Assumption Registry - Shared, addressable assumptions that decisions
+ * rely on
+ *
+ * Every assumption gets a stable ID (A1, A2, ...) in
+ * `<aidlDir>/assumptions.json`. Decisions refer to assumptions by ID, and
+ * the same text used by two decisions resolves to the same assumption.
+ * An assumption can be invalidated (with a reason) but is never removed.
+ */
+export class AssumptionRegistry {
+  constructor(aidlDir) {
+    this.registryPath = path.join(aidlDir, 'assumptions.json');
+  }
+
+  /**
+   * Whether a value is an assumption ID
+   */
+  static isId(value) {
+    return typeof value === 'string' && ASSUMPTION_ID.test(value);
+  }
+
+  /**
+   * Key under which equal assumption texts match
+   */
+  static textKey(text) {
+    return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Read the registry, optionally through a transaction so that staged
+   * assumptions are visible
+   */
+  async read(io = FileUtils) {
+    if (!(await io.exists(this.registryPath))) {
+      return { next_seq: 1, items: {} };
+    }
+    return io.readJsonFile(this.registryPath);
+  }
+
+  /**
+   * Resolve assumptions given as text, as an ID (`A3`) or as
+   * `{ id, text }` to `{ id, text }` entries, registering new texts. An
+   * `{ id, text }` entry whose text differs from the registered one is
+   * refused rather than silently resolved to the old text.
+   * Relying on an invalidated assumption is refused unless `existing`
+   * (the record's current assumptions) already did.
+   */
+  async resolve(transaction, inputs = [], { existing = [] } = {}) {
+    const registry = await this.read(transaction);
+    const byText = new Map(Object.values(registry.items).map(item => [AssumptionRegistry.textKey(item.text), item]));
+    const resolved = [];
+    let changed = false;
+
+    for (const input of inputs) {
+      const value = typeof input === 'string' ? input.trim() : input;
+      let item;
+
+      if (AssumptionRegistry.isId(value) || (value?.id && !value.text)) {
+        const id = value.id ?? value;
+        item = registry.items[id];
+        if (!item) {
+          const error = new Error(`Assumption '${id}' not found (see aidl_assumptions)`);
+          error.code = 'E_NOT_FOUND';
+          throw error;
+        }
+      } else {
+        const text = typeof value === 'string' ? value : String(value?.text ?? '').trim();
+        if (!text) {
+          continue;
+        }
+        const named = value?.id && registry.items[value.id];
+        if (named && AssumptionRegistry.textKey(named.text) !== AssumptionRegistry.textKey(text)) {
+          const error = new Error(`Assumption ${named.id} reads '${named.text}', not '${text}' (shared assumptions cannot be reworded; pass the ID alone to reuse it, or the new text alone to register a new assumption)`);
+          error.code = 'E_CONFLICT';
+          throw error;
+        }
+        item = named || byText.get(AssumptionRegistry.textKey(text));
+        if (!item) {
+          item = {
+            id: `A${registry.next_seq++}`,
+            text,
+            status: 'valid',
+            created_at: new Date().toISOString()
+          };
+          registry.items[item.id] = item;
+          byText.set(AssumptionRegistry.textKey(text), item);
+          changed = true;
+        }
+      }
+
+      if (item.status === 'invalid' && !existing.some(entry => entry.id === item.id)) {
+        const error = new Error(`Assumption ${item.id} was invalidated: ${item.invalidation.reason}`);
+        error.code = 'E_CONFLICT';
+        throw error;
+      }
+      if (!resolved.some(entry => entry.id === item.id)) {
+        resolved.push({ id: item.id, text: item.text });
+      }
+    }
+
+    if (changed) {
+      transaction.writeJsonFile(this.registryPath, registry);
+    }
+    return resolved;
+  }
+
+  /**
+   * Stage the invalidation of an assumption and return it
+   */
+  async invalidate(transaction, id, { reason, author }) {
+    const registry = await this.read(transaction);
+    const item = registry.items[id];
+    if (!item) {
+      const error = new Error(`Assumption '${id}' not found`);
+      error.code = 'E_NOT_FOUND';
+      throw error;
+    }
+    if (item.status === 'invalid') {
+      const error = new Error(`Assumption ${id} is already invalid`);
+      error.code = 'E_CONFLICT';
+      throw error;
+    }
+
+    item.status = 'invalid';
+    item.invalidation = { reason, author, timestamp: new Date().toISOString() };
+    transaction.writeJsonFile(this.registryPath, registry);
+    return item;
+  }
+}
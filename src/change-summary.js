@@ -0,0 +1,84 @@
+import { RevisionStore } from './revision-store.js';
+
+// Revision actions that bring a record into the log
+const CREATE_ACTIONS = ['create', 'import'];
+
+// Fields that change along with every status change and say nothing
+// about what was edited
+const BOOKKEEPING_FIELDS = ['status', 'status_history', 'superseded_by', 'date'];
+
+/**
+ * Change Summary - Condenses the revisions of the decision log made in a
+ * window (since a commit or a date) into what changed per decision, and
+ * renders it as markdown for PR descriptions
+ */
+export class ChangeSummary {
+  /**
+   * What changed in one AIDL: `revisions` is its full history, `inWindow`
+   * tells whether a revision falls in the window. Null when none does.
+   */
+  static forRecord(revisions, inWindow) {
+    const changed = revisions.filter(entry => entry.action !== 'baseline' && inWindow(entry));
+    if (changed.length === 0) {
+      return null;
+    }
+
+    const firstIndex = revisions.indexOf(changed[0]);
+    const before = firstIndex > 0 ? revisions[firstIndex - 1].record : null;
+    const after = changed[changed.length - 1].record;
+    const created = changed.some(entry => CREATE_ACTIONS.includes(entry.action));
+
+    const statusChanges = [];
+    for (const entry of changed) {
+      const previous = revisions[revisions.indexOf(entry) - 1]?.record;
+      if (previous && previous.status !== entry.record.status) {
+        statusChanges.push({
+          from: previous.status,
+          to: entry.record.status,
+          timestamp: entry.timestamp,
+          author: entry.author,
+          ...(entry.git ? { commit: entry.git.commit } : {})
+        });
+      }
+    }
+
+    return {
+      id: after.id,
+      adr_no: after.adr_no,
+      title: after.title,
+      status: after.status,
+      created,
+      status_changes: created ? [] : statusChanges,
+      edited_fields: created || !before
+        ? []
+        : RevisionStore.diff(before, after)
+          .map(change => change.field)
+          .filter(field => !BOOKKEEPING_FIELDS.includes(field)),
+      authors: [...new Set(changed.map(entry => entry.author))],
+      revisions: changed.map(entry => entry.revision)
+    };
+  }
+
+  /**
+   * Render the changes as a markdown section
+   */
+  static toMarkdown(decisions, label) {
+    const title = (decision) => `ADR-${decision.adr_no}: ${decision.title} (\`${decision.id}\`)`;
+    const status = (value) => value.charAt(0) + value.slice(1).toLowerCase();
+
+    const groups = [
+      ['New decisions', decisions.filter(decision => decision.created),
+        decision => `- ${title(decision)} — ${status(decision.status)}`],
+      ['Status changes', decisions.filter(decision => decision.status_changes.length > 0),
+        decision => `- ${title(decision)} — ${[decision.status_changes[0].from, ...decision.status_changes.map(change => change.to)].map(status).join(' → ')}`],
+      ['Edited decisions', decisions.filter(decision => decision.edited_fields.length > 0),
+        decision => `- ${title(decision)} — ${decision.edited_fields.join(', ')}`]
+    ].filter(([, entries]) => entries.length > 0);
+
+    const body = groups.length > 0
+      ? groups.map(([heading, entries, line]) => `### ${heading}\n${entries.map(line).join('\n')}`).join('\n\n')
+      : 'No decision changes.';
+
+    return `## Decision changes since ${label}\n\n${body}\n`;
+  }
+}
@@ -0,0 +1,485 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import matter from 'gray-matter';
+import { z } from 'zod';
+import { AidlSchema } from './aidl-schema.js';
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = ['json', 'fix', 'dry-run', 'stdin', 'http', 'help', 'needs-review'];
+
+// Flags that may be given several times
+const REPEATABLE_FLAGS = ['tags', 'components', 'owners'];
+
+const USAGE = `Usage: vibe_coding_enhanced [--base-dir <path>] [command] [options]
+
+Commands:
+  serve [--http [--port N]]          Start the MCP server (default)
+  list [--status S] [--needs-review] [--from D] [--to D] [--tags t]... [--page N] [--page-size N]
+  get <id>                            Show a decision
+  search <query> [--page N]           Full-text search
+  status <id> <STATUS> [--reason R] [--author A]
+                                      Change the status of a decision
+  supersede <id> <by-id> [--author A] Mark a decision as superseded
+  review <id> <approve|request_changes|reject> [--comment C] [--reviewer R]
+  risks [--status S,S] [--tags t]     Risk matrix across the log
+  due [--within N]                    Decisions due for review (overdue or within N days)
+  changes <ref|date>                  Decisions changed since a git ref or date, as markdown
+  create [--stdin] [--author A]       Create a decision in $EDITOR, or from JSON on stdin
+  doctor [--fix]                      Check (and repair) the index
+  export <html|markdown|json|csv> [--output path] [list filters]
+  import <directory> [--numbering keep|remap] [--dry-run]
+
+--author A records who made the change (default: $VCE_AUTHOR, then the OS user
+name). Every command accepts --json to print JSON instead of tables.`;
+
+/**
+ * AIDL CLI - Human-facing subcommands that call AidlManager directly
+ */
+export class AidlCli {
+  constructor(manager, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+    this.manager = manager;
+    this.stdin = stdin;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.env = env;
+  }
+
+  /**
+   * Whether a command name is handled by the CLI (rather than the server)
+   */
+  static handles(command) {
+    return ['list', 'get', 'search', 'status', 'supersede', 'review', 'risks', 'due', 'changes', 'create', 'doctor', 'export', 'import', 'help'].includes(command);
+  }
+
+  /**
+   * Split arguments into `--name value` options and positionals
+   */
+  static parseArgs(args) {
+    const options = {};
+    const positionals = [];
+
+    for (let i = 0; i < args.length; i++) {
+      if (!args[i].startsWith('--')) {
+        positionals.push(args[i]);
+        continue;
+      }
+      const name = args[i].slice(2);
+      const value = BOOLEAN_FLAGS.includes(name) || args[i + 1] === undefined || args[i + 1].startsWith('--')
+        ? true
+        : args[++i];
+      if (REPEATABLE_FLAGS.includes(name)) {
+        (options[name] ||= []).push(value);
+      } else {
+        options[name] = value;
+      }
+    }
+
+    return { options, positionals };
+  }
+
+  /**
+   * Run a subcommand and return the process exit code
+   */
+  async run(command, args) {
+    const { options, positionals } = AidlCli.parseArgs(args);
+
+    if (command === 'help' || options.help) {
+      this.print(USAGE);
+      return 0;
+    }
+
+    try {
+      const handler = {
+        list: () => this.list(options),
+        get: () => this.get(positionals, options),
+        search: () => this.search(positionals, options),
+        status: () => this.status(positionals, options),
+        supersede: () => this.supersede(positionals, options),
+        review: () => this.review(positionals, options),
+        risks: () => this.risks(options),
+        due: () => this.due(options),
+        changes: () => this.changes(positionals, options),
+        create: () => this.create(options),
+        doctor: () => this.doctor(options),
+        export: () => this.export(positionals, options),
+        import: () => this.import(positionals, options)
+      }[command];
+
+      if (!handler) {
+        this.stderr.write(`Unknown command: ${command}\n\n${USAGE}\n`);
+        return 1;
+      }
+      return (await handler()) ?? 0;
+    } catch (error) {
+      if (options.json) {
+        this.print(JSON.stringify({ ok: false, error: error.code || 'E_IO', message: error.message }, null, 2));
+      } else {
+        this.stderr.write(`Error${error.code ? ` (${error.code})` : ''}: ${error.message}\n`);
+      }
+      return 1;
+    }
+  }
+
+  print(text) {
+    this.stdout.write(`${text}\n`);
+  }
+
+  /**
+   * Print a result as JSON, or through the human formatter
+   */
+  output(options, result, format) {
+    this.print(options.json ? JSON.stringify(result, null, 2) : format(result));
+  }
+
+  /**
+   * Render rows as a plain-text table with padded columns
+   */
+  static table(columns, rows) {
+    if (rows.length === 0) {
+      return '(none)';
+    }
+
+    const cells = rows.map(row => columns.map(([, key]) => String(row[key] ?? '').replace(/\s+/g, ' ')));
+    const widths = columns.map(([header], i) => Math.max(header.length, ...cells.map(row => row[i].length)));
+    const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+    return [
+      line(columns.map(([header]) => header)),
+      line(widths.map(width => '-'.repeat(width))),
+      ...cells.map(line)
+    ].join('\n');
+  }
+
+  /**
+   * Require positional arguments, naming them in the error
+   */
+  static require(positionals, names) {
+    const missing = names.slice(positionals.length);
+    if (missing.length > 0) {
+      const error = new Error(`Missing argument${missing.length > 1 ? 's' : ''}: ${missing.map(name => `<${name}>`).join(' ')}`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+  }
+
+  /**
+   * List filters shared by `list` and `export`
+   */
+  static filters(options) {
+    const filters = {};
+    for (const key of ['status', 'from', 'to', 'tags', 'components', 'owners']) {
+      if (options[key] !== undefined) {
+        filters[key] = options[key];
+      }
+    }
+    if (options['needs-review']) {
+      filters.needs_review = true;
+    }
+    return filters;
+  }
+
+  async list(options) {
+    const result = await this.manager.list({
+      ...AidlCli.filters(options),
+      page: Number(options.page ?? 1),
+      page_size: Number(options['page-size'] ?? 50)
+    });
+
+    this.output(options, result, ({ items, pagination }) => [
+      AidlCli.table(
+        [['ADR', 'adr'], ['ID', 'id'], ['STATUS', 'status'], ['DATE', 'date'], ['TITLE', 'title']],
+        items.map(item => ({ ...item, adr: `ADR-${item.adr_no}` }))
+      ),
+      `\nPage ${pagination.page} of ${Math.max(pagination.total_pages, 1)} (${pagination.total_items} decisions)`
+    ].join('\n'));
+  }
+
+  async get(positionals, options) {
+    AidlCli.require(positionals, ['id']);
+
+    const [id] = positionals;
+    if (options.json) {
+      this.output(options, await this.manager.get(id));
+    } else {
+      this.print(await this.manager.getMarkdown(id));
+    }
+  }
+
+  async search(positionals, options) {
+    AidlCli.require(positionals, ['query']);
+
+    const result = await this.manager.detailSearch(positionals.join(' '), {
+      page: Number(options.page ?? 1),
+      page_size: Number(options['page-size'] ?? 20)
+    });
+
+    this.output(options, result, ({ items, pagination }) => [
+      AidlCli.table(
+        [['ADR', 'adr'], ['ID', 'id'], ['STATUS', 'status'], ['SCORE', 'score'], ['TITLE', 'name']],
+        items.map(item => ({ ...item, adr: `ADR-${item.adr_no}` }))
+      ),
+      `\n${pagination.total_items} match${pagination.total_items === 1 ? '' : 'es'}`
+    ].join('\n'));
+  }
+
+  async status(positionals, options) {
+    AidlCli.require(positionals, ['id', 'status']);
+
+    const [id, status] = positionals;
+    const result = await this.manager.updateStatus(id, status.toUpperCase(), {
+      reason: options.reason,
+      author: options.author
+    });
+    this.output(options, result, ({ message }) => `${id}: ${message}`);
+  }
+
+  async supersede(positionals, options) {
+    AidlCli.require(positionals, ['id', 'by-id']);
+
+    const [id, supersededBy] = positionals;
+    const result = await this.manager.supersede(id, supersededBy, { author: options.author });
+    this.output(options, result, ({ message }) => `${id}: ${message}`);
+  }
+
+  async review(positionals, options) {
+    AidlCli.require(positionals, ['id', 'verdict']);
+
+    const [id, verdict] = positionals;
+    const result = await this.manager.review(id, verdict.toLowerCase(), {
+      reviewer: options.reviewer,
+      comment: options.comment
+    });
+    this.output(options, result, ({ message, approvals, quorum, pending, can_accept }) => [
+      `${id}: ${message}`,
+      `Approvals: ${approvals.length}${quorum > 0 ? ` of ${quorum} required` : ''}${pending.length > 0 ? `, waiting for ${pending.join(', ')}` : ''}`,
+      can_accept ? 'Ready to be ACCEPTED' : 'Not ready to be ACCEPTED'
+    ].join('\n'));
+  }
+
+  async risks(options) {
+    const result = await this.manager.risks({
+      ...AidlCli.filters(options),
+      status: typeof options.status === 'string' ? options.status.toUpperCase().split(',') : undefined
+    });
+
+    this.output(options, result, ({ statuses, decisions, total, matrix, risks }) => [
+      `${total} risks in ${decisions} decisions (${statuses.join(', ')})\n`,
+      AidlCli.table(
+        [['PROB \\ IMPACT', 'probability'], ['HIGH', 'HIGH'], ['MED', 'MED'], ['LOW', 'LOW']],
+        Object.entries(matrix).map(([probability, row]) => ({ probability, ...row }))
+      ),
+      '',
+      AidlCli.table(
+        [['ADR', 'adr'], ['RISK', 'risk'], ['P', 'probability'], ['I', 'impact'], ['OWNER', 'owner'], ['RE-ASSESS', 'reassess_by'], ['FLAGS', 'flags']],
+        risks.map(entry => ({ ...entry, adr: `ADR-${entry.adr_no}`, flags: entry.flags.join(', ') }))
+      )
+    ].join('\n'));
+  }
+
+  async due(options) {
+    const result = await this.manager.dueForReview({
+      ...AidlCli.filters(options),
+      within_days: Number(options.within ?? 30)
+    });
+
+    const columns = [['ADR', 'adr'], ['ID', 'id'], ['STATUS', 'status'], ['REVIEW BY', 'review_by'], ['DAYS', 'days_left'], ['TITLE', 'title']];
+    const rows = (items) => items.map(item => ({ ...item, adr: `ADR-${item.adr_no}` }));
+    this.output(options, result, ({ overdue, upcoming, within_days }) => [
+      'Overdue',
+      AidlCli.table(columns, rows(overdue)),
+      `\nDue within ${within_days} days`,
+      AidlCli.table(columns, rows(upcoming))
+    ].join('\n'));
+  }
+
+  async changes(positionals, options) {
+    AidlCli.require(positionals, ['ref|date']);
+    const result = await this.manager.changesSince(positionals[0]);
+    this.output(options, result, ({ markdown }) => markdown.trimEnd());
+  }
+
+  async create(options) {
+    const params = options.stdin || !this.stdin.isTTY
+      ? this.parseJson(await this.readStdin())
+      : await this.editTemplate();
+
+    if (!params) {
+      this.stderr.write('Aborted: no title given\n');
+      return 1;
+    }
+
+    const values = AidlCli.validateCreate(params);
+    const result = await this.manager.create({ author: options.author, ...values });
+    this.output(options, result, ({ id, adr_no }) => `Created ${id} (ADR-${adr_no}, PROPOSED)`);
+  }
+
+  async doctor(options) {
+    const report = await this.manager.doctor({ fix: options.fix === true });
+
+    this.output(options, report, ({ ok, summary, issues, actions }) => [
+      ...(actions || []).map(action => `fixed: ${action}`),
+      ok
+        ? `OK: ${summary.files} files, ${summary.index_items} index entries`
+        : AidlCli.table([['ISSUE', 'type'], ['ID', 'id'], ['MESSAGE', 'message']], issues)
+    ].join('\n'));
+    return report.ok ? 0 : 1;
+  }
+
+  async export([format], options) {
+    const result = await this.manager.export({
+      format,
+      output: typeof options.output === 'string' ? path.resolve(options.output) : undefined,
+      ...AidlCli.filters(options)
+    });
+    this.output(options, result, ({ count, output }) => `Exported ${count} decisions to ${output}`);
+  }
+
+  async import([directory], options) {
+    const result = await this.manager.importAdrs({
+      directory: directory && path.resolve(directory),
+      numbering: options.numbering,
+      dry_run: options['dry-run'] === true
+    });
+
+    this.output(options, result, ({ dry_run, imported, skipped, conflicts, warnings }) => [
+      dry_run ? 'Dry run: nothing was written\n' : '',
+      AidlCli.table(
+        [['FILE', 'file'], ['ID', 'id'], ['ADR', 'adr'], ['STATUS', 'status'], ['TITLE', 'title']],
+        imported.map(item => ({ ...item, adr: `ADR-${item.adr_no}` }))
+      ),
+      ...skipped.map(item => `skipped ${item.file}: ${item.reason}`),
+      ...conflicts.map(item => `conflict: ${item.message}`),
+      ...warnings.map(warning => `warning: ${warning}`)
+    ].filter(Boolean).join('\n'));
+    return result.ok ? 0 : 1;
+  }
+
+  async readStdin() {
+    const chunks = [];
+    for await (const chunk of this.stdin) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      const customError = new Error(`stdin is not valid JSON: ${error.message}`);
+      customError.code = 'E_INVALID';
+      throw customError;
+    }
+  }
+
+  /**
+   * YAML template opened in $EDITOR by `create`
+   */
+  template() {
+    const customFields = Object.entries(this.manager.config.custom_fields).map(([name, field]) => {
+      const hint = `# ${field.description || field.heading}${field.type === 'enum' ? ` (${field.values.join(' / ')})` : ''}${field.required ? ' (required)' : ''}`;
+      return `${hint}\n${name}:${field.type === 'list' ? ' []' : ''}\n`;
+    });
+
+    return `# New AIDL: fill in the fields, then save and close the editor.
+# Leave the title empty to cancel.
+
+# Lowercase letters, numbers and underscores (3-65 characters)
+id:
+# One sentence starting with a verb
+title:
+context: |
+
+decision: |
+
+rationale: |
+
+assumptions: []
+# risk name: { probability: LOW / MED / HIGH, impact: LOW / MED / HIGH, mitigation: ... }
+risks: {}
+consequences:
+  positive: []
+  negative: []
+cost:
+  one_off: []
+  ongoing: []
+# Measurable acceptance criteria
+expected_result: []
+tags: []
+components: []
+owners: []
+# People who must approve before the decision can be ACCEPTED
+reviewers: []
+# Files, directories or globs this decision governs (e.g. src/api/**)
+paths: []
+# How often to review the decision (e.g. 90d, 6m, 1y), or a fixed date as review_by: YYYY-MM-DD
+review_interval:
+${customFields.join('')}`;
+  }
+
+  /**
+   * Open the template in $EDITOR and parse the result (null when the
+   * title was left empty)
+   */
+  async editTemplate() {
+    const filePath = path.join(os.tmpdir(), `aidl-${process.pid}-${Date.now()}.yaml`);
+    await fs.writeFile(filePath, this.template(), 'utf8');
+
+    const editor = this.env.VISUAL || this.env.EDITOR || 'vi';
+    const result = spawnSync(`${editor} "${filePath}"`, { shell: true, stdio: 'inherit' });
+    if (result.status !== 0) {
+      const error = new Error(`Editor '${editor}' exited with status ${result.status} (draft kept at ${filePath})`);
+      error.code = 'E_IO';
+      throw error;
+    }
+
+    let params;
+    try {
+      params = matter.engines.yaml.parse(await fs.readFile(filePath, 'utf8')) || {};
+    } catch (error) {
+      const customError = new Error(`Invalid YAML: ${error.message} (draft kept at ${filePath})`);
+      customError.code = 'E_INVALID';
+      throw customError;
+    }
+    await fs.unlink(filePath);
+
+    if (!params.title) {
+      return null;
+    }
+    for (const field of ['context', 'decision', 'rationale']) {
+      if (typeof params[field] === 'string') {
+        params[field] = params[field].trim();
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Validate create parameters against the aidl_create tool schema and
+   * return them without blank values; the lists and sections may be left
+   * out (or blank in the editor template)
+   */
+  static validateCreate(params) {
+    const values = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== null && value !== undefined));
+    const schema = z.object(AidlSchema.createShape())
+      .partial({ assumptions: true, risks: true, cost: true, consequences: true, expected_result: true })
+      .passthrough();
+    AidlSchema.parse(schema, values);
+
+    const problems = [];
+    for (const field of ['title', 'context', 'decision', 'rationale']) {
+      if (!values[field].trim()) {
+        problems.push(`${field} is required`);
+      }
+    }
+
+    if (problems.length > 0) {
+      const error = new Error(`Invalid AIDL: ${problems.join('; ')}`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    return values;
+  }
+}
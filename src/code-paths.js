@@ -0,0 +1,181 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Directories never walked when listing the working tree
+const SKIPPED_DIRS = ['.git', 'node_modules'];
+
+// Characters that make a path segment a pattern rather than a literal name
+const WILDCARD = /[*?[{]/;
+
+/**
+ * Code Paths - Matches the files, directories and glob patterns an AIDL
+ * governs against repository paths
+ *
+ * Patterns are relative to the workspace root and use `/` separators:
+ * `*` and `?` stay within one path segment, `**` spans any number of
+ * segments, and `{a,b}` and `[abc]` work as in shell globs. A pattern
+ * without wildcards names a file or a directory and matches everything
+ * under it.
+ */
+export class CodePaths {
+  /**
+   * Normalize a governed pattern (`./src/api/` → `src/api`)
+   */
+  static normalizePattern(pattern) {
+    const normalized = String(pattern).trim()
+      .replace(/\\/g, '/')
+      .replace(/^(?:\.\/|\/)+/, '')
+      .replace(/\/+$/, '');
+
+    if (!normalized || normalized === '.' || normalized.split('/').includes('..')) {
+      const error = new Error(`Invalid path pattern: '${pattern}' (expected a path inside the workspace, e.g. src/api/** or docs/)`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    return normalized;
+  }
+
+  /**
+   * Normalize a path to be looked up: absolute paths are made relative
+   * to the workspace root
+   */
+  static normalizePath(filePath, root) {
+    const relative = path.isAbsolute(filePath) ? path.relative(root, filePath) : path.normalize(filePath);
+    const normalized = relative.split(path.sep).join('/').replace(/^\.\//, '').replace(/\/+$/, '');
+
+    if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+      const error = new Error(`Path '${filePath}' is outside the workspace`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    return normalized;
+  }
+
+  /**
+   * Whether a pattern contains wildcards
+   */
+  static isGlob(pattern) {
+    return WILDCARD.test(pattern);
+  }
+
+  /**
+   * Compile a glob pattern into an anchored regular expression
+   */
+  static toRegExp(pattern) {
+    let source = '';
+    let braces = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+
+      if (char === '*' && pattern[i + 1] === '*') {
+        const atStart = i === 0 || pattern[i - 1] === '/';
+        const atEnd = i + 2 === pattern.length;
+        if (atStart && pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else if (atStart && atEnd) {
+          source += '.*';
+          i += 1;
+        } else {
+          source += '[^/]*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const close = pattern.indexOf(']', i + 2);
+        if (close < 0) {
+          source += '\\[';
+        } else {
+          const body = pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\');
+          source += `[${body}]`;
+          i = close;
+        }
+      } else if (char === '{') {
+        braces++;
+        source += '(?:';
+      } else if (char === '}' && braces > 0) {
+        braces--;
+        source += ')';
+      } else if (char === ',' && braces > 0) {
+        source += '|';
+      } else {
+        source += char.replace(/[.+^$()|\\{}]/g, '\\$&');
+      }
+    }
+
+    if (braces > 0) {
+      const error = new Error(`Invalid path pattern: '${pattern}' (unclosed '{')`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Whether a normalized path is governed by a normalized pattern
+   */
+  static matches(pattern, filePath) {
+    if (!CodePaths.isGlob(pattern)) {
+      return filePath === pattern || filePath.startsWith(`${pattern}/`);
+    }
+    return CodePaths.toRegExp(pattern).test(filePath);
+  }
+
+  /**
+   * How narrowly a pattern targets code: each literal segment counts 10,
+   * a segment that mixes literals and wildcards (`*.ts`, `{api,web}`) 5,
+   * a bare `*` 1 and `**` nothing, so `src/api/handler.ts` (30) outranks
+   * `src/api/*.ts` (25), which outranks `src/api` (20) and `**\/*.ts` (5)
+   */
+  static specificity(pattern) {
+    return pattern.split('/').reduce((score, segment) => {
+      if (!WILDCARD.test(segment)) {
+        return score + 10;
+      }
+      if (segment === '**') {
+        return score;
+      }
+      return score + (segment.replace(/[*?]|\[[^\]]*\]/g, '') ? 5 : 1);
+    }, 0);
+  }
+
+  /**
+   * Every file in the working tree under `root` as a relative `/` path,
+   * skipping `.git`, `node_modules` and the given directories (for
+   * workspaces outside a git repository)
+   */
+  static async listFiles(root, { skip = [] } = {}) {
+    const skipped = new Set([...SKIPPED_DIRS, ...skip]);
+    const files = [];
+
+    const walk = async (dir, prefix) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EACCES') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          if (!skipped.has(entry.name) && !skipped.has(relative)) {
+            await walk(path.join(dir, entry.name), relative);
+          }
+        } else {
+          files.push(relative);
+        }
+      }
+    };
+
+    await walk(root, '');
+    return files;
+  }
+}
@@ -0,0 +1,106 @@
+import path from 'path';
+import { FileUtils } from './file-utils.js';
+
+/**
+ * Comment Store - Keeps the discussion thread of each AIDL
+ *
+ * Each record has its own append-only thread at
+ * `<aidlDir>/comments/<id>.json`, so discussing a decision never rewrites
+ * its markdown file. Comments are never edited or removed; resolving one
+ * only stamps who resolved it and when.
+ */
+export class CommentStore {
+  constructor(aidlDir) {
+    this.commentsDir = path.join(aidlDir, 'comments');
+  }
+
+  /**
+   * Path of the thread file for an AIDL
+   */
+  getCommentsPath(id) {
+    return path.join(this.commentsDir, `${id}.json`);
+  }
+
+  /**
+   * Read every comment of an AIDL (oldest first), optionally through a
+   * transaction so that staged comments are visible
+   */
+  async readAll(id, io = FileUtils) {
+    const commentsPath = this.getCommentsPath(id);
+    if (!(await io.exists(commentsPath))) {
+      return [];
+    }
+    const thread = await io.readJsonFile(commentsPath);
+    return thread.comments || [];
+  }
+
+  /**
+   * Stage a new comment in a transaction and return it
+   */
+  async append(transaction, id, { author, body, reply_to, anchor }) {
+    const comments = await this.readAll(id, transaction);
+    const last = comments[comments.length - 1];
+
+    const appended = {
+      comment_id: last ? last.comment_id + 1 : 1,
+      timestamp: new Date().toISOString(),
+      author,
+      body,
+      reply_to: reply_to ?? null,
+      anchor: anchor ?? null,
+      resolved_by: null,
+      resolved_at: null
+    };
+
+    transaction.writeJsonFile(this.getCommentsPath(id), {
+      id,
+      comments: [...comments, appended]
+    });
+
+    return appended;
+  }
+
+  /**
+   * Stage the resolution of a comment (and with it, its replies)
+   */
+  async resolve(transaction, id, commentId, { author }) {
+    const comments = await this.readAll(id, transaction);
+    const comment = comments.find(item => item.comment_id === commentId);
+    if (!comment) {
+      const error = new Error(`Comment ${commentId} on AIDL '${id}' not found`);
+      error.code = 'E_NOT_FOUND';
+      throw error;
+    }
+    if (comment.resolved_at) {
+      const error = new Error(`Comment ${commentId} on AIDL '${id}' is already resolved`);
+      error.code = 'E_CONFLICT';
+      throw error;
+    }
+
+    comment.resolved_by = author;
+    comment.resolved_at = new Date().toISOString();
+    transaction.writeJsonFile(this.getCommentsPath(id), { id, comments });
+
+    return comment;
+  }
+
+  /**
+   * Whether a comment is still open: neither it nor any comment it
+   * replies to has been resolved
+   */
+  static isOpen(comments, comment) {
+    const byId = new Map(comments.map(item => [item.comment_id, item]));
+    const seen = new Set();
+    let cursor = comment;
+
+    while (cursor && !seen.has(cursor.comment_id)) {
+      if (cursor.resolved_at) {
+        return false;
+      }
+      seen.add(cursor.comment_id);
+      cursor = byId.get(cursor.reply_to);
+    }
+
+    return true;
+  }
+}
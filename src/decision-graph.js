@@ -0,0 +1,137 @@
+/**
+ * Typed relations an AIDL can declare towards other AIDLs
+ */
+export const RELATION_TYPES = ['depends_on', 'amends', 'relates_to', 'conflicts_with'];
+
+/**
+ * Decision Graph - Builds and renders the relation graph of the decision log
+ */
+export class DecisionGraph {
+  constructor(nodes = {}, edges = []) {
+    this.nodes = nodes;
+    this.edges = edges;
+  }
+
+  /**
+   * Build the graph from index items
+   */
+  static fromItems(items) {
+    const graph = new DecisionGraph();
+    const idByAdrNo = {};
+    for (const item of Object.values(items)) {
+      idByAdrNo[item.adr_no] = item.id;
+    }
+
+    for (const item of Object.values(items)) {
+      graph.nodes[item.id] = {
+        id: item.id,
+        adr_no: item.adr_no,
+        title: item.title,
+        status: item.status
+      };
+
+      for (const type of RELATION_TYPES) {
+        for (const target of item.relations?.[type] || []) {
+          if (items[target]) {
+            graph.edges.push({ from: item.id, to: target, type });
+          }
+        }
+      }
+
+      const supersededById = idByAdrNo[item.superseded_by];
+      if (item.superseded_by && supersededById) {
+        graph.edges.push({ from: item.id, to: supersededById, type: 'superseded_by' });
+      }
+    }
+
+    return graph;
+  }
+
+  /**
+   * Restrict the graph to the nodes within `depth` hops of an AIDL
+   * (edges are followed in both directions)
+   */
+  neighbourhood(id, depth = 1) {
+    if (!this.nodes[id]) {
+      const error = new Error(`AIDL with ID '${id}' not found`);
+      error.code = 'E_NOT_FOUND';
+      throw error;
+    }
+
+    const visited = new Set([id]);
+    let frontier = [id];
+
+    for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+      const next = [];
+      for (const edge of this.edges) {
+        for (const [a, b] of [[edge.from, edge.to], [edge.to, edge.from]]) {
+          if (frontier.includes(a) && !visited.has(b)) {
+            visited.add(b);
+            next.push(b);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    const nodes = {};
+    for (const nodeId of visited) {
+      nodes[nodeId] = this.nodes[nodeId];
+    }
+    return new DecisionGraph(
+      nodes,
+      this.edges.filter(edge => visited.has(edge.from) && visited.has(edge.to))
+    );
+  }
+
+  /**
+   * Render the graph as a Mermaid flowchart
+   */
+  toMermaid() {
+    const lines = ['graph LR'];
+
+    for (const node of Object.values(this.nodes)) {
+      const label = `ADR-${node.adr_no}: ${node.title} (${node.status})`.replace(/"/g, '#quot;');
+      lines.push(`  ${node.id}["${label}"]`);
+    }
+
+    for (const edge of this.edges) {
+      const arrow = edge.type === 'conflicts_with' ? '-.->' : '-->';
+      lines.push(`  ${edge.from} ${arrow}|${edge.type}| ${edge.to}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the graph in Graphviz DOT format
+   */
+  toDot() {
+    const quote = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    const lines = ['digraph aidl {', '  rankdir=LR;'];
+
+    for (const node of Object.values(this.nodes)) {
+      lines.push(`  ${quote(node.id)} [label=${quote(`ADR-${node.adr_no}: ${node.title}\n${node.status}`)}];`);
+    }
+
+    for (const edge of this.edges) {
+      const style = edge.type === 'conflicts_with' ? ', style=dashed' : '';
+      lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [label=${quote(edge.type)}${style}];`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * JSON representation with the rendered diagrams attached
+   */
+  toJSON() {
+    return {
+      nodes: Object.values(this.nodes),
+      edges: this.edges,
+      mermaid: this.toMermaid(),
+      dot: this.toDot()
+    };
+  }
+}
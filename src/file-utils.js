@@ -209,18 +209,18 @@ export class FileUtils {
         throw customError;
       }
 
-      // Read current data
+      // Read current data (a corrupt file is reported, never replaced)
       let currentData = {};
       if (await this.exists(filePath)) {
         try {
           currentData = await this.readJsonFile(filePath);
         } catch (error) {
-          // If JSON is invalid, start with empty object
           if (error.code === 'E_INVALID') {
-            currentData = {};
-          } else {
-            throw error;
+            const customError = new Error(`Refusing to update corrupt JSON file ${filePath}: ${error.message}`);
+            customError.code = 'E_INVALID';
+            throw customError;
           }
+          throw error;
         }
       }
 
@@ -247,4 +247,191 @@ export class FileUtils {
       }
     }
   }
+
+  /**
+   * Replace a file's content via a temp file and rename (caller holds the lock)
+   */
+  static async replaceFile(filePath, content) {
+    await this.ensureDir(path.dirname(filePath));
+    const tempPath = `${filePath}.tmp.${Date.now()}.${Math.random().toString(36).substr(2, 9)}`;
+    try {
+      await fs.writeFile(tempPath, content, 'utf8');
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      try {
+        await fs.unlink(tempPath);
+      } catch {
+        // Ignore cleanup errors
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Acquire the lock guarding a write-ahead journal
+   */
+  static async lockJournal(journalPath) {
+    const dir = path.dirname(journalPath);
+    await this.ensureDir(dir);
+
+    try {
+      return await lockfile.lock(dir, {
+        lockfilePath: `${journalPath}.lock`,
+        retries: {
+          retries: 10,
+          factor: 2,
+          minTimeout: 100,
+          maxTimeout: 1000
+        }
+      });
+    } catch (lockError) {
+      const customError = new Error(`Failed to acquire lock: ${lockError.message}`);
+      customError.code = 'E_CONFLICT';
+      throw customError;
+    }
+  }
+
+  /**
+   * Roll back an unfinished transaction left behind in the journal
+   * (caller holds the journal lock). Returns true if anything was recovered.
+   */
+  static async rollbackJournal(journalPath) {
+    if (!(await this.exists(journalPath))) {
+      return false;
+    }
+
+    let journal;
+    try {
+      journal = JSON.parse(await fs.readFile(journalPath, 'utf8'));
+    } catch (error) {
+      const customError = new Error(`Transaction journal ${journalPath} is corrupt: ${error.message}`);
+      customError.code = 'E_INVALID';
+      throw customError;
+    }
+
+    if (journal.state !== 'committed') {
+      // Restore every file to its content before the transaction started
+      for (const entry of journal.entries || []) {
+        if (entry.backup === null) {
+          try {
+            await fs.unlink(entry.path);
+          } catch (error) {
+            // ENOTDIR: a parent is a file, so this one was never written
+            if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+              throw error;
+            }
+          }
+        } else {
+          await this.replaceFile(entry.path, entry.backup);
+        }
+      }
+    }
+
+    await fs.unlink(journalPath);
+    return true;
+  }
+
+  /**
+   * Roll back any unfinished transaction left by a crashed process
+   */
+  static async recoverJournal(journalPath) {
+    const release = await this.lockJournal(journalPath);
+    try {
+      return await this.rollbackJournal(journalPath);
+    } finally {
+      try {
+        await release();
+      } catch {
+        // Ignore lock release errors
+      }
+    }
+  }
+
+  /**
+   * Run a multi-file transaction guarded by a write-ahead journal
+   *
+   * The callback stages writes on the transaction object; they are applied
+   * only after it resolves. Before applying, the previous content of every
+   * target is saved to the journal so that an interrupted commit is rolled
+   * back by the next transaction or recoverJournal() call.
+   */
+  static async runTransaction(journalPath, callback) {
+    const release = await this.lockJournal(journalPath);
+
+    try {
+      await this.rollbackJournal(journalPath);
+
+      const transaction = new Transaction();
+      const result = await callback(transaction);
+
+      if (transaction.writes.size > 0) {
+        const entries = [];
+        for (const filePath of transaction.writes.keys()) {
+          entries.push({
+            path: filePath,
+            backup: (await this.exists(filePath)) ? await fs.readFile(filePath, 'utf8') : null
+          });
+        }
+
+        await this.replaceFile(journalPath, JSON.stringify({
+          state: 'pending',
+          started_at: new Date().toISOString(),
+          entries
+        }));
+
+        try {
+          for (const [filePath, content] of transaction.writes) {
+            await this.replaceFile(filePath, content);
+          }
+        } catch (error) {
+          await this.rollbackJournal(journalPath);
+          const customError = new Error(`Transaction rolled back: ${error.message}`);
+          customError.code = 'E_IO';
+          throw customError;
+        }
+
+        await this.replaceFile(journalPath, JSON.stringify({ state: 'committed' }));
+        await fs.unlink(journalPath);
+      }
+
+      return result;
+    } finally {
+      try {
+        await release();
+      } catch {
+        // Ignore lock release errors
+      }
+    }
+  }
+}
+
+/**
+ * Staged writes of a transaction; reads see the transaction's own writes
+ */
+class Transaction {
+  constructor() {
+    this.writes = new Map();
+  }
+
+  async exists(filePath) {
+    return this.writes.has(path.resolve(filePath)) || FileUtils.exists(filePath);
+  }
+
+  async readFile(filePath) {
+    const key = path.resolve(filePath);
+    return this.writes.has(key) ? this.writes.get(key) : FileUtils.readFile(filePath);
+  }
+
+  async readJsonFile(filePath) {
+    const key = path.resolve(filePath);
+    return this.writes.has(key) ? JSON.parse(this.writes.get(key)) : FileUtils.readJsonFile(filePath);
+  }
+
+  writeFile(filePath, content) {
+    this.writes.set(path.resolve(filePath), content);
+  }
+
+  writeJsonFile(filePath, data) {
+    this.writeFile(filePath, JSON.stringify(data, null, 2));
+  }
 }
\ No newline at end of file
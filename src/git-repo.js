@@ -0,0 +1,121 @@
+import { execFile } from 'child_process';
+
+// Local git commands are quick; give up rather than stall a write
+const GIT_TIMEOUT_MS = 10000;
+
+/**
+ * Git Repo - Reads the local git repository a workspace lives in
+ *
+ * Only local, read-only commands are run (no fetch, nothing that needs
+ * the network). A workspace outside a repository, or a machine without
+ * git, reads as having no HEAD.
+ */
+export class GitRepo {
+  constructor(cwd) {
+    this.cwd = cwd;
+  }
+
+  /**
+   * Run git and resolve with its trimmed output; `code` is the exit code
+   * on failure (or ENOENT when git is not installed) and `stderr` what
+   * git printed
+   */
+  run(args) {
+    return new Promise((resolve, reject) => {
+      execFile('git', args, { cwd: this.cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          error.stderr = String(stderr).trim();
+          reject(error);
+          return;
+        }
+        resolve(stdout.trim());
+      });
+    });
+  }
+
+  /**
+   * `{ commit, branch }` of HEAD (branch is null when detached), or null
+   * outside a repository or before its first commit
+   */
+  async head() {
+    try {
+      const [commit, branch] = (await this.run(['rev-parse', 'HEAD', '--abbrev-ref', 'HEAD'])).split('\n');
+      return { commit, branch: branch === 'HEAD' ? null : branch };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve a commit, tag or branch to `{ commit, date }` (committer
+   * date, ISO 8601)
+   */
+  async resolve(ref) {
+    if (!ref || ref.startsWith('-')) {
+      const error = new Error(`Invalid git ref: '${ref}'`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+
+    let output;
+    try {
+      output = await this.run(['show', '-s', '--format=%H%n%cI', `${ref}^{commit}`, '--']);
+    } catch (error) {
+      throw GitRepo.failure(error, `Cannot resolve '${ref}'`, `not a commit, tag or branch of the git repository at ${this.cwd}`);
+    }
+
+    const [commit, date] = output.split('\n');
+    return { commit, date };
+  }
+
+  /**
+   * Files of the working tree (relative `/` paths under the working
+   * directory): tracked files still present plus untracked ones that are
+   * not ignored. Null outside a repository.
+   */
+  async listFiles() {
+    let listed;
+    let deleted;
+    try {
+      listed = await this.run(['ls-files', '-z', '--cached', '--others', '--exclude-standard']);
+      deleted = await this.run(['ls-files', '-z', '--deleted']);
+    } catch {
+      return null;
+    }
+
+    const missing = new Set(deleted.split('\0').filter(Boolean));
+    return [...new Set(listed.split('\0'))].filter(file => file && !missing.has(file));
+  }
+
+  /**
+   * Commits reachable from HEAD, from `commit` itself onwards
+   */
+  async commitsSince(commit) {
+    let output;
+    try {
+      output = await this.run(['rev-list', `${commit}..HEAD`, '--']);
+    } catch (error) {
+      throw GitRepo.failure(error, `Cannot list the commits since ${commit.slice(0, 7)}`, `git rev-list failed in ${this.cwd}`);
+    }
+    return new Set([commit, ...output.split('\n').filter(Boolean)]);
+  }
+
+  /**
+   * E_NOT_FOUND error for a failed git command: what was attempted, why
+   * it failed and what git said
+   */
+  static failure(error, action, reason) {
+    let detail = reason;
+    if (error.code === 'ENOENT') {
+      detail = 'git is not installed';
+    } else if (error.killed) {
+      detail = `git did not answer within ${GIT_TIMEOUT_MS / 1000}s`;
+    } else if (error.stderr) {
+      detail = `${reason} (git: ${error.stderr})`;
+    }
+
+    const wrapped = new Error(`${action}: ${detail}`);
+    wrapped.code = 'E_NOT_FOUND';
+    return wrapped;
+  }
+}
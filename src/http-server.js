@@ -0,0 +1,170 @@
+import http from 'http';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+// Only local clients may connect
+const HOST = '127.0.0.1';
+const ENDPOINT = '/mcp';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * HTTP Server - Serves MCP over Streamable HTTP on localhost so that
+ * several agents can share one server process
+ *
+ * Every client session gets its own MCP server from `createServer`, and
+ * every request must carry `Authorization: Bearer <token>`.
+ */
+export class HttpServer {
+  constructor({ port, token, createServer }) {
+    if (!token) {
+      const error = new Error('A bearer token is required to serve over HTTP (set VCE_HTTP_TOKEN)');
+      error.code = 'E_INVALID';
+      throw error;
+    }
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      const error = new Error(`Invalid HTTP port: ${port}`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+
+    this.port = port;
+    this.tokenDigest = HttpServer.digest(token);
+    this.createServer = createServer;
+    this.sessions = new Map();
+    this.httpServer = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        console.error('HTTP request failed:', error);
+        if (!res.headersSent) {
+          HttpServer.sendError(res, 500, 'Internal server error');
+        }
+      });
+    });
+  }
+
+  /**
+   * SHA-256 digest, so tokens of any length compare in constant time
+   */
+  static digest(text) {
+    return createHash('sha256').update(String(text)).digest();
+  }
+
+  /**
+   * Write a JSON-RPC error response
+   */
+  static sendError(res, status, message, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+  }
+
+  /**
+   * Read and parse a JSON request body
+   */
+  static async readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        const error = new Error('Request body too large');
+        error.status = 413;
+        throw error;
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+      const error = new Error('Request body is not valid JSON');
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Start listening and resolve with the bound port
+   */
+  async start() {
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, HOST, resolve);
+    });
+    this.port = this.httpServer.address().port;
+    return { host: HOST, port: this.port };
+  }
+
+  /**
+   * Close every session and stop listening
+   */
+  async close() {
+    for (const transport of this.sessions.values()) {
+      await transport.close();
+    }
+    await new Promise(resolve => this.httpServer.close(resolve));
+  }
+
+  /**
+   * Whether the request carries the expected bearer token
+   */
+  authorized(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    return Boolean(match) && timingSafeEqual(HttpServer.digest(match[1].trim()), this.tokenDigest);
+  }
+
+  /**
+   * Route a request to its session's transport, opening a session on
+   * an initialize request
+   */
+  async handle(req, res) {
+    if (new URL(req.url, `http://${HOST}`).pathname !== ENDPOINT) {
+      HttpServer.sendError(res, 404, 'Not found');
+      return;
+    }
+    if (!this.authorized(req)) {
+      HttpServer.sendError(res, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    let body;
+    if (req.method === 'POST') {
+      try {
+        body = await HttpServer.readJsonBody(req);
+      } catch (error) {
+        HttpServer.sendError(res, error.status || 400, error.message);
+        return;
+      }
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId) {
+      const transport = this.sessions.get(sessionId);
+      if (!transport) {
+        HttpServer.sendError(res, 404, 'Session not found');
+        return;
+      }
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      HttpServer.sendError(res, 400, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, transport);
+      },
+      enableDnsRebindingProtection: true,
+      allowedHosts: [`${HOST}:${this.port}`, `localhost:${this.port}`]
+    });
+    transport.onclose = () => {
+      this.sessions.delete(transport.sessionId);
+    };
+
+    await this.createServer().connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+}
@@ -0,0 +1,242 @@
+import path from 'path';
+import matter from 'gray-matter';
+import { FileUtils } from './file-utils.js';
+
+/**
+ * Default allowed status transitions (SUPERSEDED is only reachable through supersede)
+ */
+export const DEFAULT_STATUS_TRANSITIONS = {
+  PROPOSED: ['ACCEPTED', 'REJECTED'],
+  ACCEPTED: ['FINISHED', 'FAILED'],
+  REJECTED: ['PROPOSED'],
+  FINISHED: [],
+  FAILED: [],
+  SUPERSEDED: []
+};
+
+const STATUSES = Object.keys(DEFAULT_STATUS_TRANSITIONS);
+
+/**
+ * Built-in record sections, in their default markdown order
+ */
+export const BUILTIN_SECTIONS = ['context', 'decision', 'rationale', 'consequences', 'risks', 'expected_result', 'assumptions', 'cost'];
+
+/**
+ * Review interval: a number of days, weeks, months or years (e.g. 90d, 6m)
+ */
+export const REVIEW_INTERVAL_PATTERN = /^(\d+)([dwmy])$/;
+
+/**
+ * Value types a custom field can declare
+ */
+export const CUSTOM_FIELD_TYPES = ['string', 'list', 'enum'];
+
+// Names custom fields may not take (built-in record, index and tool fields)
+const RESERVED_FIELDS = [
+  ...BUILTIN_SECTIONS,
+  'title', 'id', 'adr_no', 'aidl_no', 'status', 'date', 'superseded_by', 'supersedes',
+  'relations', 'tags', 'components', 'owners', 'reviewers', 'paths', 'reviews', 'needs_review', 'review_by', 'review_interval', 'review_log',
+  'status_history', 'author'
+];
+
+const DEFAULT_TEMPLATE = {
+  headings: {
+    context: 'Context',
+    decision: 'Decision',
+    rationale: 'Rationale (Drivers)',
+    consequences: 'Consequences (Implications)',
+    risks: 'Risks & Mitigations',
+    expected_result: 'Acceptance Criteria',
+    assumptions: 'Assumptions',
+    cost: 'Cost / TCO'
+  },
+  labels: {
+    positive: 'Positive',
+    negative: 'Negative / Trade-offs',
+    one_off: 'One-off',
+    ongoing: 'Ongoing'
+  },
+  risk_format: '{risk} — Impact:{impact} / Prob:{probability} — {mitigation}'
+};
+
+// Config files in lookup order
+const CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'];
+
+/**
+ * Project Config - Loads project settings from `.vce/config.json` (or
+ * `.vce/config.yaml`)
+ *
+ * Besides `status_transitions`, the config may declare `custom_fields`
+ * (name → { type, heading, description, values, required }), a
+ * `template` with the section order, headings, labels and risk line format
+ * used to render records, `review.quorum`, the number of approvals a
+ * decision needs before it can be ACCEPTED (by default, every assigned
+ * reviewer, and at least one named reviewer, must approve; 0 lets
+ * decisions be accepted without review),
+ * and `review_intervals` (status → interval such as `90d` or `6m`), which
+ * schedules the next review date of decisions entering that status.
+ */
+export class ProjectConfig {
+  /**
+   * Load the project config, falling back to defaults for missing keys
+   */
+  static async load(baseDir) {
+    for (const file of CONFIG_FILES) {
+      const configPath = path.join(baseDir, file);
+      if (await FileUtils.exists(configPath)) {
+        return this.resolve(file.endsWith('.json')
+          ? await FileUtils.readJsonFile(configPath)
+          : this.parseYaml(await FileUtils.readFile(configPath), configPath));
+      }
+    }
+
+    return this.resolve({});
+  }
+
+  /**
+   * Parse a YAML config file with the same YAML engine as the front matter
+   */
+  static parseYaml(content, configPath) {
+    try {
+      return matter.engines.yaml.parse(content) || {};
+    } catch (error) {
+      const customError = new Error(`Failed to parse YAML in ${configPath}: ${error.message}`);
+      customError.code = 'E_INVALID';
+      throw customError;
+    }
+  }
+
+  /**
+   * Fill defaults into a user config and validate it
+   */
+  static resolve(userConfig = {}) {
+    const customFields = this.resolveCustomFields(userConfig.custom_fields);
+
+    return {
+      ...userConfig,
+      status_transitions: this.resolveStatusTransitions(userConfig.status_transitions),
+      review: this.resolveReview(userConfig.review),
+      review_intervals: this.resolveReviewIntervals(userConfig.review_intervals),
+      custom_fields: customFields,
+      template: this.resolveTemplate(userConfig.template, customFields)
+    };
+  }
+
+  /**
+   * Merge a user transition table over the defaults and validate it
+   */
+  static resolveStatusTransitions(overrides = {}) {
+    const transitions = { ...DEFAULT_STATUS_TRANSITIONS };
+
+    for (const [from, targets] of Object.entries(overrides)) {
+      const invalid = [from, ...(Array.isArray(targets) ? targets : [])]
+        .filter(status => !STATUSES.includes(status));
+
+      if (!Array.isArray(targets) || invalid.length > 0) {
+        const error = new Error(`Invalid status_transitions entry for '${from}' in config`);
+        error.code = 'E_INVALID';
+        throw error;
+      }
+
+      transitions[from] = targets;
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Validate the review settings
+   */
+  static resolveReview(review = {}) {
+    const quorum = review.quorum ?? null;
+
+    if (quorum !== null && (!Number.isInteger(quorum) || quorum < 0)) {
+      const error = new Error(`Invalid review.quorum in config: ${JSON.stringify(quorum)} (expected a non-negative integer)`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+
+    return { quorum };
+  }
+
+  /**
+   * Validate the default review interval of each status
+   */
+  static resolveReviewIntervals(intervals = {}) {
+    for (const [status, interval] of Object.entries(intervals)) {
+      if (!STATUSES.includes(status) || !REVIEW_INTERVAL_PATTERN.test(String(interval))) {
+        const error = new Error(`Invalid review_intervals entry for '${status}' in config (expected a status and an interval such as 90d, 12w, 6m or 1y)`);
+        error.code = 'E_INVALID';
+        throw error;
+      }
+    }
+
+    return { ...intervals };
+  }
+
+  /**
+   * Validate custom field definitions and fill their defaults
+   */
+  static resolveCustomFields(definitions = {}) {
+    const fields = {};
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      const invalid = (reason) => {
+        const error = new Error(`Invalid custom field '${name}' in config: ${reason}`);
+        error.code = 'E_INVALID';
+        return error;
+      };
+
+      if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+        throw invalid('name must be lowercase letters, numbers and underscores');
+      }
+      if (RESERVED_FIELDS.includes(name)) {
+        throw invalid('name is a built-in field');
+      }
+      if (!CUSTOM_FIELD_TYPES.includes(definition?.type)) {
+        throw invalid(`type must be one of ${CUSTOM_FIELD_TYPES.join(', ')}`);
+      }
+      if (definition.type === 'enum' && (!Array.isArray(definition.values) || definition.values.length === 0)) {
+        throw invalid('enum fields need a non-empty values list');
+      }
+
+      fields[name] = {
+        type: definition.type,
+        heading: definition.heading || name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+        description: definition.description || '',
+        values: definition.type === 'enum' ? definition.values.map(String) : undefined,
+        required: definition.required === true
+      };
+    }
+
+    return fields;
+  }
+
+  /**
+   * Resolve the record template: section order, headings, labels and the
+   * risk line format (custom fields missing from `sections` go last)
+   */
+  static resolveTemplate(template = {}, customFields = {}) {
+    const known = [...BUILTIN_SECTIONS, ...Object.keys(customFields)];
+    const sections = template.sections ?? BUILTIN_SECTIONS;
+
+    const unknown = Array.isArray(sections) ? sections.filter(section => !known.includes(section)) : [];
+    if (!Array.isArray(sections) || unknown.length > 0) {
+      const error = new Error(`Invalid template.sections in config${unknown.length > 0 ? `: unknown sections ${unknown.join(', ')}` : ''}`);
+      error.code = 'E_INVALID';
+      throw error;
+    }
+
+    const headings = { ...DEFAULT_TEMPLATE.headings };
+    for (const [name, field] of Object.entries(customFields)) {
+      headings[name] = field.heading;
+    }
+
+    return {
+      sections: [...new Set([...sections, ...Object.keys(customFields)])],
+      headings: { ...headings, ...template.headings },
+      labels: { ...DEFAULT_TEMPLATE.labels, ...template.labels },
+      risk_format: template.risk_format || DEFAULT_TEMPLATE.risk_format
+    };
+  }
+}
@@ -0,0 +1,121 @@
+import path from 'path';
+import { FileUtils } from './file-utils.js';
+
+/**
+ * Revision Store - Keeps a snapshot of every revision of an AIDL record
+ *
+ * Each record has its own history file at `<aidlDir>/history/<id>.json`
+ * holding an ordered list of revisions.
+ */
+export class RevisionStore {
+  constructor(aidlDir) {
+    this.historyDir = path.join(aidlDir, 'history');
+  }
+
+  /**
+   * Path of the history file for an AIDL
+   */
+  getHistoryPath(id) {
+    return path.join(this.historyDir, `${id}.json`);
+  }
+
+  /**
+   * Read all revisions of an AIDL (oldest first), optionally through a
+   * transaction so that staged revisions are visible
+   */
+  async readAll(id, io = FileUtils) {
+    const historyPath = this.getHistoryPath(id);
+    if (!(await io.exists(historyPath))) {
+      return [];
+    }
+    const history = await io.readJsonFile(historyPath);
+    return history.revisions || [];
+  }
+
+  /**
+   * Read a single revision by number
+   */
+  async read(id, revision) {
+    const revisions = await this.readAll(id);
+    const entry = revisions.find(item => item.revision === revision);
+    if (!entry) {
+      const error = new Error(`Revision ${revision} of AIDL '${id}' not found`);
+      error.code = 'E_NOT_FOUND';
+      throw error;
+    }
+    return entry;
+  }
+
+  /**
+   * Stage a new revision snapshot in a transaction and return it;
+   * `git` ({ commit, branch } of HEAD) is kept when known
+   */
+  async append(transaction, id, { action, author, record, git }) {
+    const revisions = await this.readAll(id, transaction);
+    const last = revisions[revisions.length - 1];
+
+    const appended = {
+      revision: last ? last.revision + 1 : 1,
+      timestamp: new Date().toISOString(),
+      author,
+      action,
+      ...(git ? { git } : {}),
+      record
+    };
+
+    transaction.writeJsonFile(this.getHistoryPath(id), {
+      id,
+      revisions: [...revisions, appended]
+    });
+
+    return appended;
+  }
+
+  /**
+   * Compute a field-level diff between two record snapshots
+   */
+  static diff(fromRecord, toRecord) {
+    const changes = [];
+    const fields = [...new Set([...Object.keys(fromRecord), ...Object.keys(toRecord)])];
+
+    for (const field of fields) {
+      const before = fromRecord[field];
+      const after = toRecord[field];
+
+      if (JSON.stringify(before) === JSON.stringify(after)) {
+        continue;
+      }
+
+      if (before === undefined) {
+        changes.push({ field, type: 'added', to: after });
+      } else if (after === undefined) {
+        changes.push({ field, type: 'removed', from: before });
+      } else if (Array.isArray(before) && Array.isArray(after)) {
+        const beforeItems = before.map(item => JSON.stringify(item));
+        const afterItems = after.map(item => JSON.stringify(item));
+        changes.push({
+          field,
+          type: 'changed',
+          added: after.filter((item, i) => !beforeItems.includes(afterItems[i])),
+          removed: before.filter((item, i) => !afterItems.includes(beforeItems[i])),
+          from: before,
+          to: after
+        });
+      } else if (isPlainObject(before) && isPlainObject(after)) {
+        changes.push({
+          field,
+          type: 'changed',
+          changes: RevisionStore.diff(before, after)
+        });
+      } else {
+        changes.push({ field, type: 'changed', from: before, to: after });
+      }
+    }
+
+    return changes;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
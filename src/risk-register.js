@@ -0,0 +1,96 @@
+/**
+ * Probability and impact levels of a risk, lowest first
+ */
+export const RISK_LEVELS = ['LOW', 'MED', 'HIGH'];
+
+/**
+ * Statuses whose risks count towards the project's exposure by default
+ * (accepted decisions, which are in force and being carried out);
+ * proposals are included only when asked for with the status filter
+ */
+export const DEFAULT_RISK_STATUSES = ['ACCEPTED'];
+
+// Mitigations that say nothing about what will actually be done
+const BOILERPLATE_MITIGATION = /^(?:tbd|tba|todo|n\/?a|none|nothing|-+|\?+|monitor(?:ing)?|monitor (?:it|closely)|to be (?:defined|determined|decided)|will (?:monitor|handle|fix|be handled)(?: it| later)?|handle (?:it|later)|mitigate|accept(?:ed)?|ok)\.?$/i;
+
+/**
+ * Risk Register - Aggregates the risks of many AIDL records into one
+ * register with a probability × impact matrix
+ */
+export class RiskRegister {
+  /**
+   * Severity score: probability level × impact level (1-9)
+   */
+  static score(probability, impact) {
+    return (RISK_LEVELS.indexOf(probability) + 1) * (RISK_LEVELS.indexOf(impact) + 1);
+  }
+
+  /**
+   * Why a mitigation needs attention, or null when it looks concrete
+   */
+  static weakMitigation(mitigation) {
+    const text = (mitigation || '').trim();
+    if (!text) {
+      return 'empty';
+    }
+    return BOILERPLATE_MITIGATION.test(text) ? 'boilerplate' : null;
+  }
+
+  /**
+   * Build the register from full records (risks are not in the index);
+   * `today` (YYYY-MM-DD) decides which re-assessments are overdue
+   */
+  static build(records, { today }) {
+    const risks = [];
+
+    for (const record of records) {
+      for (const [risk, details] of Object.entries(record.risks || {})) {
+        const mitigationProblem = RiskRegister.weakMitigation(details.mitigation);
+        const overdue = Boolean(details.reassess_by) && details.reassess_by < today;
+
+        risks.push({
+          id: record.id,
+          adr_no: record.adr_no,
+          title: record.title,
+          status: record.status,
+          risk,
+          probability: details.probability,
+          impact: details.impact,
+          score: RiskRegister.score(details.probability, details.impact),
+          mitigation: details.mitigation || '',
+          owner: details.owner || '',
+          reassess_by: details.reassess_by || '',
+          flags: [
+            ...(mitigationProblem ? [`${mitigationProblem}_mitigation`] : []),
+            ...(overdue ? ['reassessment_overdue'] : [])
+          ]
+        });
+      }
+    }
+
+    risks.sort((a, b) => (b.score - a.score) || (a.adr_no - b.adr_no) || a.risk.localeCompare(b.risk));
+
+    // Rows are probabilities, columns impacts, both highest first
+    const matrix = {};
+    for (const probability of [...RISK_LEVELS].reverse()) {
+      matrix[probability] = {};
+      for (const impact of [...RISK_LEVELS].reverse()) {
+        matrix[probability][impact] = 0;
+      }
+    }
+    for (const entry of risks) {
+      if (matrix[entry.probability]?.[entry.impact] !== undefined) {
+        matrix[entry.probability][entry.impact]++;
+      }
+    }
+
+    return {
+      total: risks.length,
+      matrix,
+      critical: risks.filter(entry => entry.probability === 'HIGH' && entry.impact === 'HIGH'),
+      weak_mitigations: risks.filter(entry => entry.flags.some(flag => flag.endsWith('_mitigation'))),
+      overdue: risks.filter(entry => entry.flags.includes('reassessment_overdue')),
+      risks
+    };
+  }
+}
@@ -0,0 +1,572 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { FileUtils } from './file-utils.js';
+
+const INDEX_VERSION = 2;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Title matches count more than matches in the body
+const FIELD_WEIGHTS = { title: 2 };
+
+// Field names accepted in `field:term` queries
+const FIELD_ALIASES = {
+  title: 'title',
+  context: 'context',
+  decision: 'decision',
+  rationale: 'rationale',
+  assumption: 'assumptions',
+  assumptions: 'assumptions',
+  risk: 'risks',
+  risks: 'risks',
+  consequence: 'consequences',
+  consequences: 'consequences',
+  criteria: 'expected_result',
+  acceptance: 'expected_result',
+  expected_result: 'expected_result',
+  cost: 'cost'
+};
+
+const SNIPPET_BEFORE = 80;
+const SNIPPET_AFTER = 160;
+
+/**
+ * Search Index - Persistent inverted index over AIDL records with BM25
+ * ranking, phrase queries, boolean operators and field-scoped terms
+ *
+ * Sharded per record under `<aidlDir>/search/`: each `<id>.json` holds the
+ * term positions of one record (not its text), so a write only touches
+ * the shard of the record it changes. `manifest.json` marks the shards as
+ * complete. In memory, terms and IDs are Map keys, so no term (not even
+ * `__proto__`) can collide with object properties.
+ */
+export class SearchIndex {
+  constructor(aidlDir) {
+    this.searchDir = path.join(aidlDir, 'search');
+    this.manifestPath = path.join(this.searchDir, 'manifest.json');
+    // Single-file index of the previous format, removed by prune()
+    this.legacyPath = path.join(aidlDir, 'search-index.json');
+    this.cache = null;
+  }
+
+  /**
+   * Path of the shard of an AIDL
+   */
+  getShardPath(id) {
+    return path.join(this.searchDir, `${id}.json`);
+  }
+
+  /**
+   * Split text into lowercase terms with their character offsets
+   */
+  static tokenize(text) {
+    const tokens = [];
+    const regex = /[\p{L}\p{N}_]+[+#]*/gu;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      tokens.push({
+        term: match[0].toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+    return tokens;
+  }
+
+  /**
+   * Searchable text of each field of a record
+   */
+  static documentFields(record) {
+    return {
+      title: record.title || '',
+      context: record.context || '',
+      decision: record.decision || '',
+      rationale: record.rationale || '',
+      assumptions: (record.assumptions || []).map(assumption => assumption.text ?? assumption).join('\n'),
+      risks: Object.entries(record.risks || {})
+        .map(([risk, details]) => `${risk}: ${details.mitigation}`)
+        .join('\n'),
+      consequences: [
+        ...(record.consequences?.positive || []),
+        ...(record.consequences?.negative || [])
+      ].join('\n'),
+      expected_result: (record.expected_result || []).map(criterion => criterion.text ?? criterion).join('\n'),
+      cost: [
+        ...(record.cost?.one_off || []),
+        ...(record.cost?.ongoing || [])
+      ].join('\n')
+    };
+  }
+
+  static emptyIndex() {
+    return { docs: new Map(), postings: new Map() };
+  }
+
+  /**
+   * Shard of a record: its metadata, length and the positions of each
+   * term per field, as `[term, { field: positions }]` pairs
+   */
+  static buildShard(record) {
+    const terms = new Map();
+    let length = 0;
+
+    for (const [field, text] of Object.entries(this.documentFields(record))) {
+      const tokens = this.tokenize(text);
+      length += tokens.length;
+      tokens.forEach((token, position) => {
+        if (!terms.has(token.term)) {
+          terms.set(token.term, {});
+        }
+        (terms.get(token.term)[field] ||= []).push(position);
+      });
+    }
+
+    return {
+      version: INDEX_VERSION,
+      id: record.id,
+      adr_no: record.adr_no,
+      title: record.title,
+      status: record.status,
+      length,
+      terms: [...terms]
+    };
+  }
+
+  /**
+   * Add (or replace) a record's shard in index data
+   */
+  static addDocument(data, shard) {
+    this.removeDocument(data, shard.id);
+
+    for (const [term, fields] of shard.terms) {
+      if (!data.postings.has(term)) {
+        data.postings.set(term, new Map());
+      }
+      data.postings.get(term).set(shard.id, fields);
+    }
+
+    data.docs.set(shard.id, {
+      id: shard.id,
+      adr_no: shard.adr_no,
+      title: shard.title,
+      status: shard.status,
+      length: shard.length,
+      terms: shard.terms.map(([term]) => term)
+    });
+  }
+
+  /**
+   * Remove a record from index data
+   */
+  static removeDocument(data, id) {
+    const doc = data.docs.get(id);
+    if (!doc) {
+      return;
+    }
+
+    for (const term of doc.terms) {
+      const postings = data.postings.get(term);
+      if (postings) {
+        postings.delete(id);
+        if (postings.size === 0) {
+          data.postings.delete(term);
+        }
+      }
+    }
+    data.docs.delete(id);
+  }
+
+  /**
+   * Load the index from disk, re-reading only the shards that changed
+   * since the last load. Returns null when the index is missing or was
+   * written by another version.
+   */
+  async load() {
+    if (!(await FileUtils.exists(this.manifestPath))) {
+      this.cache = null;
+      return null;
+    }
+    const manifest = await FileUtils.readJsonFile(this.manifestPath);
+    if (manifest.version !== INDEX_VERSION) {
+      this.cache = null;
+      return null;
+    }
+
+    this.cache ||= { data: SearchIndex.emptyIndex(), shards: new Map() };
+    const { data, shards } = this.cache;
+    const files = (await FileUtils.listFiles(this.searchDir, '\\.json$'))
+      .filter(file => file !== 'manifest.json');
+    const ids = new Set();
+
+    for (const file of files) {
+      const id = path.basename(file, '.json');
+      const stats = await FileUtils.getStats(this.getShardPath(id));
+      if (!stats) {
+        continue;
+      }
+      ids.add(id);
+
+      const stamp = `${stats.mtimeMs}:${stats.size}`;
+      if (shards.get(id) !== stamp) {
+        SearchIndex.addDocument(data, await FileUtils.readJsonFile(this.getShardPath(id)));
+        shards.set(id, stamp);
+      }
+    }
+
+    for (const id of shards.keys()) {
+      if (!ids.has(id)) {
+        SearchIndex.removeDocument(data, id);
+        shards.delete(id);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Stage the shard of one record in a transaction. A missing index is
+   * left alone; it is rebuilt from all records on the next search.
+   */
+  async stage(transaction, record) {
+    if (!(await transaction.exists(this.manifestPath))) {
+      return;
+    }
+    transaction.writeFile(this.getShardPath(record.id), JSON.stringify(SearchIndex.buildShard(record)));
+  }
+
+  /**
+   * Stage a full rebuild of the index from the given records
+   */
+  rebuild(transaction, records) {
+    for (const record of records) {
+      transaction.writeFile(this.getShardPath(record.id), JSON.stringify(SearchIndex.buildShard(record)));
+    }
+    transaction.writeJsonFile(this.manifestPath, { version: INDEX_VERSION });
+  }
+
+  /**
+   * Remove the shards of records that no longer exist and the index
+   * file of the previous format (call after a rebuild is committed)
+   */
+  async prune(ids) {
+    const live = new Set(ids);
+    for (const file of await FileUtils.listFiles(this.searchDir, '\\.json$')) {
+      if (file !== 'manifest.json' && !live.has(path.basename(file, '.json'))) {
+        await fs.rm(path.join(this.searchDir, file), { force: true });
+      }
+    }
+    await fs.rm(this.legacyPath, { force: true });
+  }
+
+  /**
+   * Run a query and return a page of ranked results with highlighted
+   * snippets; `readFields(id)` gives the text of a record on the page
+   * (see documentFields())
+   */
+  static async search(data, query, { page = 1, page_size = 20, readFields } = {}) {
+    const tree = parseQuery(query);
+    if (!tree) {
+      const error = new Error('Search query is empty');
+      error.code = 'E_INVALID';
+      throw error;
+    }
+
+    const allIds = new Set(data.docs.keys());
+    const matchedIds = evaluate(data, tree, allIds);
+    const positiveLeaves = collectPositiveLeaves(tree);
+
+    const docCount = allIds.size;
+    const averageLength = docCount > 0
+      ? [...data.docs.values()].reduce((sum, doc) => sum + doc.length, 0) / docCount
+      : 0;
+
+    const results = [...matchedIds].map(id => {
+      const doc = data.docs.get(id);
+      let score = 0;
+      const matchedFields = new Set();
+
+      for (const leaf of positiveLeaves) {
+        for (const term of leaf.terms) {
+          const postings = data.postings.get(term);
+          const fieldPositions = postings?.get(id);
+          if (!fieldPositions) continue;
+
+          let tf = 0;
+          for (const [field, positions] of Object.entries(fieldPositions)) {
+            if (leaf.fields && !leaf.fields.includes(field)) continue;
+            tf += positions.length * (FIELD_WEIGHTS[field] || 1);
+            matchedFields.add(field);
+          }
+          if (tf === 0) continue;
+
+          const df = postings.size;
+          const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+          const norm = averageLength > 0 ? doc.length / averageLength : 1;
+          score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * norm));
+        }
+      }
+
+      return { id, doc, score, matchedFields: [...matchedFields] };
+    });
+
+    results.sort((a, b) => (b.score - a.score) || (a.doc.adr_no - b.doc.adr_no));
+
+    const highlightTerms = new Set(positiveLeaves.flatMap(leaf => leaf.terms));
+    const totalItems = results.length;
+    const totalPages = Math.ceil(totalItems / page_size);
+    const startIndex = (page - 1) * page_size;
+
+    const items = [];
+    for (const result of results.slice(startIndex, startIndex + page_size)) {
+      items.push({
+        name: result.doc.title,
+        id: result.id,
+        adr_no: result.doc.adr_no,
+        status: result.doc.status,
+        score: Math.round(result.score * 1000) / 1000,
+        matched_fields: result.matchedFields,
+        result: buildSnippet(await readFields(result.id), result.matchedFields, highlightTerms)
+      });
+    }
+
+    return {
+      items,
+      pagination: {
+        page,
+        page_size,
+        total_items: totalItems,
+        total_pages: totalPages,
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    };
+  }
+}
+
+/**
+ * Split a query into words, quoted phrases, parentheses and operators
+ */
+function lexQuery(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '"') {
+      const end = query.indexOf('"', i + 1);
+      const text = query.slice(i + 1, end === -1 ? query.length : end);
+      tokens.push({ type: 'term', field: null, text, negated: false });
+      i = end === -1 ? query.length : end + 1;
+    } else {
+      let word = '';
+      while (i < query.length && !/[\s()"]/.test(query[i])) {
+        word += query[i++];
+      }
+
+      if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push({ type: word });
+        continue;
+      }
+
+      let negated = false;
+      if (word.length > 1 && word.startsWith('-')) {
+        negated = true;
+        word = word.slice(1);
+      }
+
+      let field = null;
+      const colon = word.indexOf(':');
+      if (colon > 0 && FIELD_ALIASES[word.slice(0, colon).toLowerCase()]) {
+        field = FIELD_ALIASES[word.slice(0, colon).toLowerCase()];
+        word = word.slice(colon + 1);
+
+        // field:"quoted phrase"
+        if (word === '' && query[i] === '"') {
+          const end = query.indexOf('"', i + 1);
+          word = query.slice(i + 1, end === -1 ? query.length : end);
+          i = end === -1 ? query.length : end + 1;
+        }
+      }
+
+      tokens.push({ type: 'term', field, text: word, negated });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query into a tree of and/or/not/term nodes (null when empty)
+ *
+ *   query := or
+ *   or    := and ("OR" and)*
+ *   and   := unary (["AND"] unary)*
+ *   unary := "NOT" unary | "(" or ")" | term
+ */
+function parseQuery(query) {
+  const tokens = lexQuery(query);
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      position++;
+      children.push(parseAnd());
+    }
+    return simplify('or', children);
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (position < tokens.length && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        position++;
+        continue;
+      }
+      children.push(parseUnary());
+    }
+    return simplify('and', children);
+  };
+
+  const parseUnary = () => {
+    const token = tokens[position++];
+    if (token.type === 'NOT') {
+      const child = position < tokens.length ? parseUnary() : null;
+      return child ? { type: 'not', child } : null;
+    }
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (peek()?.type === ')') position++;
+      return inner;
+    }
+    if (token.type === ')') {
+      return null;
+    }
+
+    const terms = SearchIndex.tokenize(token.text).map(item => item.term);
+    if (terms.length === 0) {
+      return null;
+    }
+    const leaf = { type: 'term', fields: token.field ? [token.field] : null, terms };
+    return token.negated ? { type: 'not', child: leaf } : leaf;
+  };
+
+  const root = [];
+  while (position < tokens.length) {
+    if (peek().type === ')') {
+      // Ignore unbalanced closing parentheses
+      position++;
+      continue;
+    }
+    root.push(parseOr());
+  }
+  return simplify('and', root);
+}
+
+function simplify(type, children) {
+  const nonEmpty = children.filter(Boolean);
+  if (nonEmpty.length === 0) return null;
+  if (nonEmpty.length === 1) return nonEmpty[0];
+  return { type, children: nonEmpty };
+}
+
+/**
+ * Evaluate a query tree to the set of matching document IDs
+ */
+function evaluate(data, node, allIds) {
+  switch (node.type) {
+    case 'and': {
+      let result = null;
+      for (const child of node.children) {
+        const ids = evaluate(data, child, allIds);
+        result = result ? new Set([...result].filter(id => ids.has(id))) : ids;
+      }
+      return result;
+    }
+    case 'or': {
+      const result = new Set();
+      for (const child of node.children) {
+        for (const id of evaluate(data, child, allIds)) result.add(id);
+      }
+      return result;
+    }
+    case 'not': {
+      const excluded = evaluate(data, node.child, allIds);
+      return new Set([...allIds].filter(id => !excluded.has(id)));
+    }
+    default:
+      return matchTerm(data, node);
+  }
+}
+
+/**
+ * Documents containing a term (or consecutive phrase) in the scoped fields
+ */
+function matchTerm(data, leaf) {
+  const [first, ...rest] = leaf.terms;
+  const result = new Set();
+
+  for (const [id, firstFields] of data.postings.get(first) || []) {
+    const fieldMatches = Object.entries(firstFields).some(([field, positions]) => {
+      if (leaf.fields && !leaf.fields.includes(field)) return false;
+      return positions.some(start => rest.every((term, offset) =>
+        data.postings.get(term)?.get(id)?.[field]?.includes(start + offset + 1)
+      ));
+    });
+    if (fieldMatches) {
+      result.add(id);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Term leaves that contribute to ranking (those not under a NOT)
+ */
+function collectPositiveLeaves(node) {
+  if (!node || node.type === 'not') return [];
+  if (node.type === 'term') return [node];
+  return node.children.flatMap(collectPositiveLeaves);
+}
+
+/**
+ * Snippet around the first match with matched terms wrapped in **bold**
+ */
+function buildSnippet(fields, matchedFields, terms) {
+  const fieldOrder = Object.keys(fields);
+  const candidates = [...matchedFields, ...fieldOrder.filter(field => !matchedFields.includes(field))];
+
+  for (const field of candidates) {
+    const text = fields[field];
+    const tokens = SearchIndex.tokenize(text);
+    const hit = tokens.find(token => terms.has(token.term));
+    if (!hit) continue;
+
+    const start = Math.max(0, hit.start - SNIPPET_BEFORE);
+    const end = Math.min(text.length, hit.end + SNIPPET_AFTER);
+
+    let snippet = '';
+    let cursor = start;
+    for (const token of tokens) {
+      if (token.start < start || token.end > end || !terms.has(token.term)) continue;
+      snippet += text.slice(cursor, token.start) + `**${text.slice(token.start, token.end)}**`;
+      cursor = token.end;
+    }
+    snippet += text.slice(cursor, end);
+
+    return `${start > 0 ? '...' : ''}${snippet}${end < text.length ? '...' : ''}`;
+  }
+
+  return fields.context.slice(0, SNIPPET_AFTER);
+}
@@ -0,0 +1,180 @@
+import { EventEmitter } from 'events';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AidlManager } from './aidl-manager.js';
+
+// Storage directory kept inside each workspace root
+const STORAGE_DIR = '.vce';
+
+/**
+ * Manager Pool - One AidlManager per storage directory, shared by every
+ * client session so that writes to a workspace go through one manager
+ *
+ * Emits a `change` event ({ baseDir, ids }) after every committed write
+ * in any storage directory.
+ */
+export class ManagerPool extends EventEmitter {
+  constructor() {
+    super();
+    this.managers = new Map();
+    // Every client session listens for changes
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Manager for a storage directory, created on first use
+   */
+  get(baseDir) {
+    const key = path.resolve(baseDir);
+    if (!this.managers.has(key)) {
+      const manager = new AidlManager(baseDir);
+      manager.on('change', ({ ids }) => this.emit('change', { baseDir, ids }));
+      this.managers.set(key, manager);
+    }
+    return this.managers.get(key);
+  }
+}
+
+/**
+ * Workspace Registry - Resolves the workspaces of one client session
+ *
+ * Workspaces are the client's MCP roots (each stored under `<root>/.vce`).
+ * The default workspace is the configured storage root if one was given,
+ * otherwise the first MCP root, otherwise `./.vce`.
+ */
+export class WorkspaceRegistry {
+  constructor({ baseDir, pool = new ManagerPool() } = {}) {
+    this.baseDir = baseDir;
+    this.pool = pool;
+    this.roots = [];
+    this.pendingRoots = null;
+    this.staleRoots = null;
+  }
+
+  /**
+   * Mark the known roots as out of date: `fetchRoots(extra)` is called
+   * with the handler extra of the next request that resolves a workspace
+   */
+  invalidateRoots(fetchRoots) {
+    this.staleRoots = fetchRoots;
+  }
+
+  /**
+   * Replace the known roots with a fresh list fetched from the client
+   */
+  refreshRoots(fetchRoots) {
+    this.pendingRoots = fetchRoots()
+      .then(roots => this.setRoots(roots))
+      .catch((error) => {
+        console.error('Failed to list MCP roots:', error);
+      })
+      .finally(() => {
+        this.pendingRoots = null;
+      });
+    return this.pendingRoots;
+  }
+
+  /**
+   * Wait until the roots are current: start the refresh of out-of-date
+   * roots on behalf of the request `extra` belongs to, and wait for a
+   * refresh in progress. Without `extra` (e.g. completions) the roots
+   * already known are used.
+   */
+  async settled(extra) {
+    if (this.staleRoots && extra && !this.pendingRoots) {
+      const fetchRoots = this.staleRoots;
+      this.staleRoots = null;
+      this.refreshRoots(() => fetchRoots(extra));
+    }
+    if (this.pendingRoots) {
+      await this.pendingRoots;
+    }
+  }
+
+  /**
+   * Keep the file:// roots ({ uri, name }) as workspaces
+   */
+  setRoots(roots = []) {
+    this.roots = roots
+      .filter(root => root.uri.startsWith('file://'))
+      .map(root => {
+        const rootPath = fileURLToPath(root.uri);
+        return { name: root.name || path.basename(rootPath), uri: root.uri, path: rootPath };
+      });
+  }
+
+  /**
+   * Storage directory of the default workspace
+   */
+  defaultBaseDir() {
+    if (this.baseDir) {
+      return this.baseDir;
+    }
+    return this.roots.length > 0
+      ? path.join(this.roots[0].path, STORAGE_DIR)
+      : `./${STORAGE_DIR}`;
+  }
+
+  /**
+   * Storage directory for a workspace given by root name, URI or path
+   * (the default workspace when omitted)
+   */
+  resolveBaseDir(workspace) {
+    if (!workspace) {
+      return this.defaultBaseDir();
+    }
+
+    const root = this.roots.find(candidate => (
+      candidate.name === workspace ||
+      candidate.uri === workspace ||
+      path.resolve(candidate.path) === path.resolve(workspace)
+    ));
+    if (!root && workspace === 'default') {
+      return this.defaultBaseDir();
+    }
+    if (!root) {
+      const available = this.list().map(entry => entry.name).join(', ');
+      const error = new Error(`Unknown workspace '${workspace}' (available: ${available})`);
+      error.code = 'E_NOT_FOUND';
+      throw error;
+    }
+
+    return path.join(root.path, STORAGE_DIR);
+  }
+
+  /**
+   * Whether a storage directory belongs to the default workspace
+   */
+  isDefault(baseDir) {
+    return path.resolve(baseDir) === path.resolve(this.defaultBaseDir());
+  }
+
+  /**
+   * Manager for a workspace (the default one when omitted), once the
+   * roots are current for the request `extra` belongs to
+   */
+  async get(workspace, extra) {
+    await this.settled(extra);
+    return this.pool.get(this.resolveBaseDir(workspace));
+  }
+
+  /**
+   * Known workspaces, the default one first
+   */
+  list() {
+    const defaultBaseDir = this.defaultBaseDir();
+    const workspaces = this.roots.map(root => ({
+      name: root.name,
+      uri: root.uri,
+      base_dir: path.join(root.path, STORAGE_DIR)
+    }));
+
+    if (!workspaces.some(workspace => path.resolve(workspace.base_dir) === path.resolve(defaultBaseDir))) {
+      workspaces.unshift({ name: 'default', base_dir: defaultBaseDir });
+    }
+
+    return workspaces
+      .map(workspace => ({ ...workspace, default: this.isDefault(workspace.base_dir) }))
+      .sort((a, b) => b.default - a.default);
+  }
+}
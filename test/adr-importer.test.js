@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { withManager } from './helpers.js';
+
+const ADR = `# 1. Record architecture decisions
+
+Date: 2018-02-18
+
+## Status
+
+Accepted
+
+## Context
+
+We need to record the architectural decisions made on this project.
+
+## Decision
+
+We will use Architecture Decision Records.
+
+## Consequences
+
+- Good, because decisions are written down
+- Bad, because records need upkeep
+- See Michael Nygard's article, linked above.
+`;
+
+test('imports a directory relative to the workspace root, not the process cwd', () => withManager(async ({ dir, manager }) => {
+  await fs.mkdir(path.join(dir, 'doc', 'adr'), { recursive: true });
+  await fs.writeFile(path.join(dir, 'doc', 'adr', '0001-record-architecture-decisions.md'), ADR);
+  assert.notEqual(process.cwd(), dir);
+
+  const result = await manager.importAdrs({ directory: 'doc/adr' });
+  assert.equal(result.directory, path.join(dir, 'doc', 'adr'));
+  assert.deepEqual(result.imported.map(item => item.id), ['record_architecture_decisions']);
+
+  await assert.rejects(manager.importAdrs({ directory: 'docs/missing' }), { code: 'E_NOT_FOUND' });
+  await assert.rejects(manager.importAdrs({}), { code: 'E_INVALID' });
+}, 'vce-import-'));
+
+test('consequences marked neither good nor bad are reported per decision', () => withManager(async ({ dir, manager }) => {
+  await fs.mkdir(path.join(dir, 'adr'));
+  await fs.writeFile(path.join(dir, 'adr', '0001-record-architecture-decisions.md'), ADR);
+
+  const result = await manager.importAdrs({ directory: 'adr', dry_run: true });
+  assert.deepEqual(result.imported[0].unclassified_consequences, ["See Michael Nygard's article, linked above."]);
+  assert.match(result.warnings[0], /1 consequence\(s\) not marked good or bad/);
+}, 'vce-import-'));
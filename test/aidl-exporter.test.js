@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { base, tempManager } from './helpers.js';
+
+test('exports inside the workspace, relative to its root', async () => {
+  const { dir, manager } = await tempManager('vce-export-');
+  try {
+    const result = await manager.export({ format: 'json', output: 'docs/decisions.json' });
+    assert.equal(result.output, path.join(dir, 'docs', 'decisions.json'));
+    assert.equal(JSON.parse(await fs.readFile(result.output, 'utf8')).count, 0);
+
+    const fallback = await manager.export({ format: 'csv' });
+    assert.equal(fallback.output, path.join(dir, '.vce', 'export', 'decisions.csv'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('rejects an output outside the workspace', async () => {
+  const { dir, manager } = await tempManager('vce-export-');
+  const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'vce-outside-'));
+  try {
+    await fs.symlink(outside, path.join(dir, 'link'));
+
+    for (const output of ['../escape.json', path.join(outside, 'decisions.json'), 'link/decisions.json', '.']) {
+      await assert.rejects(manager.export({ format: 'json', output }), { code: 'E_INVALID' }, output);
+    }
+    assert.deepEqual(await fs.readdir(outside), []);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.rm(outside, { recursive: true, force: true });
+  }
+});
+
+test('rejects an output inside the storage directory but outside its export folder', async () => {
+  const { dir, manager } = await tempManager('vce-export-');
+  try {
+    await manager.create({ ...base, id: 'kept', title: 'Kept' });
+    const indexPath = path.join(dir, '.vce', 'aidl', 'index.json');
+    const before = await fs.readFile(indexPath, 'utf8');
+
+    for (const output of ['.vce/aidl/index.json', '.vce/aidl', '.vce', '.vce/config.json', path.join(dir, '.vce', 'aidl', 'kept.md')]) {
+      await assert.rejects(manager.export({ format: 'json', output }), { code: 'E_INVALID' }, output);
+    }
+    assert.equal(await fs.readFile(indexPath, 'utf8'), before);
+
+    const exported = await manager.export({ format: 'json', output: '.vce/export/all.json' });
+    assert.equal(exported.count, 1);
+    assert.equal((await manager.get('kept')).title, 'Kept');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { AidlSchema } from '../src/aidl-schema.js';
+import { ProjectConfig } from '../src/project-config.js';
+
+const config = ProjectConfig.resolve({
+  custom_fields: {
+    ticket: { type: 'string', heading: 'Ticket', required: true },
+    tier: { type: 'enum', heading: 'Tier', values: ['gold', 'silver'] },
+    links: { type: 'list', heading: 'Links' }
+  }
+});
+
+test('custom fields from the config are typed arguments of aidl_create and aidl_update', () => {
+  const create = z.object(AidlSchema.createShape(config.custom_fields)).partial();
+  const update = z.object(AidlSchema.updateShape(config.custom_fields));
+
+  assert.equal(create.shape.ticket.description, 'Ticket (required)');
+  assert.equal(create.safeParse({ ticket: 'T-1', tier: 'gold', links: ['a'] }).success, true);
+  assert.equal(create.safeParse({ tier: 'bronze' }).success, false);
+  assert.equal(create.safeParse({ links: 'a' }).success, false);
+  // Required fields are enforced per workspace by the manager, not here
+  assert.equal(create.safeParse({}).success, true);
+
+  assert.equal(update.safeParse({ id: 'x', tier: '' }).success, true);
+  assert.equal(update.safeParse({ id: 'x', tier: 'bronze' }).success, false);
+});
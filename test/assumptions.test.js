@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { accept, base, withManager } from './helpers.js';
+
+const traffic = 'Traffic stays under 1k requests per second';
+
+test('identical assumption texts share one registry entry', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'cache', title: 'Cache', assumptions: [traffic] });
+  await manager.create({ ...base, id: 'single_db', title: 'Single DB', assumptions: ['  traffic stays under 1K requests per second '] });
+  await manager.create({ ...base, id: 'by_id', title: 'By ID', assumptions: ['A1'] });
+
+  const { assumptions } = await manager.listAssumptions();
+  assert.equal(assumptions.length, 1);
+  assert.equal(assumptions[0].id, 'A1');
+  assert.deepEqual(assumptions[0].used_by.map(item => item.id).sort(), ['by_id', 'cache', 'single_db']);
+  await assert.rejects(manager.create({ ...base, id: 'unknown', title: 'Unknown', assumptions: ['A9'] }), { code: 'E_NOT_FOUND' });
+}, 'vce-assumptions-'));
+
+test('invalidating an assumption flags the open decisions relying on it', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'proposed', title: 'Proposed', assumptions: [traffic] });
+  await manager.create({ ...base, id: 'accepted', title: 'Accepted', assumptions: ['A1'] });
+  await manager.create({ ...base, id: 'rejected', title: 'Rejected', assumptions: ['A1'] });
+  await manager.create({ ...base, id: 'unrelated', title: 'Unrelated', assumptions: ['Budget is fixed'] });
+  await accept(manager, 'accepted');
+  await manager.updateStatus('rejected', 'REJECTED');
+
+  await assert.rejects(manager.invalidateAssumption('A1', { reason: ' ' }), { code: 'E_INVALID' });
+  const result = await manager.invalidateAssumption('A1', { reason: 'Launch tripled traffic', author: 'erin' });
+  assert.deepEqual(result.flagged.sort(), ['accepted', 'proposed']);
+  assert.equal(result.assumption.status, 'invalid');
+  await assert.rejects(manager.invalidateAssumption('A1', { reason: 'Again' }), { code: 'E_CONFLICT' });
+
+  const flagged = await manager.list({ needs_review: true });
+  assert.deepEqual(flagged.items.map(item => item.id).sort(), ['accepted', 'proposed']);
+  const [flag] = (await manager.get('proposed')).needs_review;
+  assert.equal(flag.assumption_id, 'A1');
+  assert.equal(flag.reason, 'Launch tripled traffic');
+  assert.equal((await manager.get('rejected')).needs_review.length, 0);
+
+  // Editing the assumption out clears the flag
+  await manager.update({ id: 'proposed', assumptions: ['Traffic is forecast monthly'] });
+  assert.equal((await manager.get('proposed')).needs_review.length, 0);
+  assert.deepEqual((await manager.list({ needs_review: true })).items.map(item => item.id), ['accepted']);
+}, 'vce-assumptions-'));
+
+test('an invalid assumption cannot be adopted, and shared assumptions cannot be reworded', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'cache', title: 'Cache', assumptions: [traffic, 'Budget is fixed'] });
+  await manager.invalidateAssumption('A1', { reason: 'Launch tripled traffic' });
+
+  await assert.rejects(manager.create({ ...base, id: 'newer', title: 'Newer', assumptions: [traffic] }), { code: 'E_CONFLICT', message: /A1 was invalidated/ });
+  await assert.rejects(manager.create({ ...base, id: 'newer', title: 'Newer', assumptions: ['A1'] }), { code: 'E_CONFLICT' });
+
+  // A record already relying on it may keep it while editing other fields
+  await manager.update({ id: 'cache', assumptions: ['A1', 'A2'], decision: 'Cache for longer' });
+
+  await assert.rejects(manager.update({ id: 'cache', assumptions: [{ id: 'A2', text: 'Budget may grow' }] }), { code: 'E_CONFLICT', message: /cannot be reworded/ });
+}, 'vce-assumptions-'));
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough, Readable } from 'stream';
+import { AidlCli } from '../src/cli.js';
+import { base, withManager } from './helpers.js';
+
+/**
+ * Run `create --stdin --json` with `params` and return the exit code and
+ * parsed output
+ */
+async function createFromStdin(manager, params) {
+  const stdout = new PassThrough();
+  const chunks = [];
+  stdout.on('data', chunk => chunks.push(chunk));
+
+  const cli = new AidlCli(manager, { stdin: Readable.from([Buffer.from(JSON.stringify(params))]), stdout, stderr: stdout });
+  const code = await cli.run('create', ['--stdin', '--json']);
+  return { code, output: JSON.parse(Buffer.concat(chunks).toString('utf8')) };
+}
+
+test('create --stdin rejects lists and sections of the wrong type', () => withManager(async ({ manager }) => {
+  const cases = [
+    [{ tags: 'auth' }, /tags/],
+    [{ expected_result: 'abc' }, /expected_result/],
+    [{ assumptions: 'traffic stays low' }, /assumptions/],
+    [{ consequences: ['faster'] }, /consequences/],
+    [{ risks: { outage: { probability: 'SOMETIMES', impact: 'HIGH', mitigation: 'm' } } }, /risks\.outage\.probability/],
+    [{ paths: [1] }, /paths\.0/]
+  ];
+
+  for (const [fields, message] of cases) {
+    const { code, output } = await createFromStdin(manager, { ...base, id: 'typed', title: 'Typed', ...fields });
+    assert.equal(code, 1);
+    assert.equal(output.error, 'E_INVALID');
+    assert.match(output.message, message);
+  }
+  assert.deepEqual((await manager.list()).items, []);
+}, 'vce-cli-'));
+
+test('create --stdin accepts a minimal decision and blank optional fields', () => withManager(async ({ manager }) => {
+  const { code, output } = await createFromStdin(manager, {
+    id: 'minimal', title: 'Minimal', context: 'c', decision: 'd', rationale: 'r', review_interval: null, tags: ['infra']
+  });
+
+  assert.equal(code, 0);
+  assert.equal(output.ok, true);
+  const record = await manager.get('minimal');
+  assert.deepEqual(record.tags, ['infra']);
+  assert.deepEqual(record.expected_result, []);
+}, 'vce-cli-'));
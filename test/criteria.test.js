@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { accept, base, withManager } from './helpers.js';
+
+const criteria = ['p95 latency under 200ms', 'No data loss during cutover'];
+
+test('acceptance criteria get IDs and start pending', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'cutover', title: 'Cut over', expected_result: criteria });
+
+  const { expected_result: result } = await manager.get('cutover');
+  assert.deepEqual(result.map(({ id, text, state }) => ({ id, text, state })), [
+    { id: 'AC1', text: criteria[0], state: 'pending' },
+    { id: 'AC2', text: criteria[1], state: 'pending' }
+  ]);
+}, 'vce-criteria-'));
+
+test('FINISHED requires every acceptance criterion to be resolved', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'cutover', title: 'Cut over', expected_result: criteria });
+  await accept(manager, 'cutover');
+
+  await assert.rejects(manager.updateStatus('cutover', 'FINISHED'), { code: 'E_CONFLICT', message: /AC1, AC2 are still pending/ });
+
+  const update = await manager.updateCriteria('cutover', [{ criterion_id: 'AC1', state: 'met', evidence: 'dashboards' }]);
+  assert.equal(update.met, 1);
+  assert.equal(update.pending, 1);
+  await assert.rejects(manager.updateStatus('cutover', 'FINISHED'), { code: 'E_CONFLICT', message: /AC2 are still pending/ });
+
+  await manager.updateCriteria('cutover', [{ criterion_id: 'AC2', state: 'met' }]);
+  assert.equal((await manager.updateStatus('cutover', 'FINISHED')).status, 'FINISHED');
+  assert.equal((await manager.get('cutover')).expected_result[0].evidence, 'dashboards');
+}, 'vce-criteria-'));
+
+test('FAILED requires at least one criterion marked not met', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'cutover', title: 'Cut over', expected_result: criteria });
+  await accept(manager, 'cutover');
+
+  await manager.updateCriteria('cutover', [{ criterion_id: 'AC1', state: 'met' }]);
+  await assert.rejects(manager.updateStatus('cutover', 'FAILED'), { code: 'E_CONFLICT', message: /no acceptance criterion is marked not met/ });
+
+  await manager.updateCriteria('cutover', [{ criterion_id: 'AC2', state: 'not_met' }]);
+  assert.equal((await manager.updateStatus('cutover', 'FAILED')).status, 'FAILED');
+}, 'vce-criteria-'));
+
+test('a decision without criteria is not gated, and unknown criteria or states are refused', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'plain', title: 'Plain' });
+  await accept(manager, 'plain');
+
+  await assert.rejects(manager.updateCriteria('plain', [{ criterion_id: 'AC1', state: 'met' }]), { code: 'E_NOT_FOUND' });
+  await assert.rejects(manager.updateCriteria('plain', [{ criterion_id: 'AC1', state: 'done' }]), { code: 'E_INVALID' });
+  assert.equal((await manager.updateStatus('plain', 'FINISHED')).status, 'FINISHED');
+}, 'vce-criteria-'));
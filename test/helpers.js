@@ -0,0 +1,46 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AidlManager } from '../src/aidl-manager.js';
+
+/**
+ * Required AIDL fields with placeholder content, to spread into create()
+ */
+export const base = {
+  context: 'c',
+  decision: 'd',
+  rationale: 'r',
+  assumptions: [],
+  risks: {},
+  cost: { one_off: [], ongoing: [] },
+  consequences: { positive: [], negative: [] },
+  expected_result: []
+};
+
+/**
+ * A manager over a fresh temporary workspace (storage in `<dir>/.vce`)
+ */
+export async function tempManager(prefix = 'vce-test-') {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  return { dir, manager: new AidlManager(path.join(dir, '.vce')) };
+}
+
+/**
+ * Run `fn` with a temporary workspace and remove it afterwards
+ */
+export async function withManager(fn, prefix) {
+  const { dir, manager } = await tempManager(prefix);
+  try {
+    return await fn({ dir, manager });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Approve and accept an AIDL
+ */
+export async function accept(manager, id, reviewer = 'alice') {
+  await manager.review(id, 'approve', { reviewer });
+  return manager.updateStatus(id, 'ACCEPTED');
+}
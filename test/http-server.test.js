@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { ListRootsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { base } from './helpers.js';
+
+const SERVER = fileURLToPath(new URL('../mcp_server.js', import.meta.url));
+const TOKEN = 'test-token';
+
+/**
+ * Start `mcp_server.js --http` on a free port and resolve with its URL
+ */
+async function startServer(cwd) {
+  const child = spawn(process.execPath, [SERVER, '--http', '--port', '0'], {
+    cwd,
+    env: { ...process.env, VCE_HTTP_TOKEN: TOKEN },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  const url = await new Promise((resolve, reject) => {
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+      const match = stderr.match(/http:\/\/127\.0\.0\.1:\d+\/mcp/);
+      if (match) {
+        resolve(new URL(match[0]));
+      }
+    });
+    child.once('exit', code => reject(new Error(`Server exited with ${code}: ${stderr}`)));
+  });
+  return { child, url };
+}
+
+test('MCP roots reach the server over Streamable HTTP', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vce-http-'));
+  const rootDir = path.join(dir, 'ws5');
+  await fs.mkdir(rootDir);
+  const { child, url } = await startServer(dir);
+
+  const client = new Client({ name: 'test', version: '1.0.0' }, { capabilities: { roots: { listChanged: true } } });
+  client.setRequestHandler(ListRootsRequestSchema, async () => ({
+    roots: [{ uri: pathToFileURL(rootDir).href, name: 'ws5' }]
+  }));
+  const call = async (name, args) => JSON.parse((await client.callTool({ name, arguments: args })).content[0].text);
+
+  try {
+    await client.connect(new StreamableHTTPClientTransport(url, {
+      requestInit: { headers: { Authorization: `Bearer ${TOKEN}` } }
+    }));
+
+    const started = Date.now();
+    const { workspaces } = await call('aidl_workspaces', {});
+    assert.ok(Date.now() - started < 5000, 'roots were listed without waiting for a timeout');
+    assert.deepEqual(workspaces.map(workspace => workspace.name), ['ws5']);
+
+    const created = await call('aidl_create', { ...base, id: 'over_http', title: 'Over HTTP', workspace: 'ws5' });
+    assert.equal(created.ok, true);
+    await fs.access(path.join(rootDir, '.vce', 'aidl', 'over_http.md'));
+  } finally {
+    await client.close();
+    child.kill();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a tool called right after initialize resolves against the client roots', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vce-http-'));
+  const rootDir = path.join(dir, 'first');
+  await fs.mkdir(rootDir);
+  const { child, url } = await startServer(dir);
+
+  const client = new Client({ name: 'test', version: '1.0.0' }, { capabilities: { roots: {} } });
+  client.setRequestHandler(ListRootsRequestSchema, async () => ({
+    roots: [{ uri: pathToFileURL(rootDir).href, name: 'first' }]
+  }));
+
+  try {
+    await client.connect(new StreamableHTTPClientTransport(url, {
+      requestInit: { headers: { Authorization: `Bearer ${TOKEN}` } }
+    }));
+
+    // No workspace given: the default is the first root, not the server's cwd
+    const result = await client.callTool({ name: 'aidl_create', arguments: { ...base, id: 'early', title: 'Early' } });
+    assert.equal(JSON.parse(result.content[0].text).ok, true);
+    await fs.access(path.join(rootDir, '.vce', 'aidl', 'early.md'));
+    await assert.rejects(fs.access(path.join(dir, '.vce')));
+  } finally {
+    await client.close();
+    child.kill();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
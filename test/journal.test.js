@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { AidlManager } from '../src/aidl-manager.js';
+import { FileUtils } from '../src/file-utils.js';
+import { base, withManager } from './helpers.js';
+
+test('a transaction failing while applying its writes restores every file', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'kept', title: 'Kept' });
+  const before = await fs.readFile(manager.indexPath, 'utf8');
+  // A file cannot be written below another file
+  const blocked = path.join(manager.aidlDir, 'blocked', 'child.md');
+  await fs.writeFile(path.dirname(blocked), '');
+
+  await assert.rejects(manager.transaction(async (transaction) => {
+    transaction.writeJsonFile(manager.indexPath, { next_adr_seq: 99, items: {} });
+    transaction.writeFile(blocked, '# never written');
+  }), { code: 'E_IO', message: /rolled back/ });
+
+  assert.equal(await fs.readFile(manager.indexPath, 'utf8'), before);
+  assert.equal(await FileUtils.exists(manager.journalPath), false);
+  assert.equal((await manager.get('kept')).title, 'Kept');
+}, 'vce-journal-'));
+
+test('a journal left by a crashed process is rolled back on the next start', () => withManager(async ({ dir, manager }) => {
+  await manager.create({ ...base, id: 'kept', title: 'Kept' });
+  const before = await fs.readFile(manager.indexPath, 'utf8');
+  const orphan = path.join(manager.aidlDir, 'orphan.md');
+
+  // Crash halfway through a commit: the journal is pending, the index
+  // overwritten and a new file written
+  await fs.writeFile(manager.journalPath, JSON.stringify({
+    state: 'pending',
+    entries: [
+      { path: manager.indexPath, backup: before },
+      { path: orphan, backup: null }
+    ]
+  }));
+  await fs.writeFile(manager.indexPath, JSON.stringify({ next_adr_seq: 99, items: {} }));
+  await fs.writeFile(orphan, '# half written');
+
+  const restarted = new AidlManager(path.join(dir, '.vce'));
+  assert.equal((await restarted.get('kept')).title, 'Kept');
+  assert.equal(await fs.readFile(manager.indexPath, 'utf8'), before);
+  assert.equal(await FileUtils.exists(orphan), false);
+  assert.equal(await FileUtils.exists(manager.journalPath), false);
+}, 'vce-journal-'));
+
+test('concurrent creates on a fresh workspace get distinct ADR numbers', () => withManager(async ({ manager }) => {
+  // Staggered so that some creates start while others are committing
+  const results = await Promise.all(Array.from({ length: 10 }, (_, i) => (
+    new Promise(resolve => setTimeout(resolve, i * 3))
+      .then(() => manager.create({ ...base, id: `rec_${i}`, title: `Record ${i}` }))
+  )));
+
+  const numbers = results.map(result => result.adr_no).sort((a, b) => a - b);
+  assert.deepEqual(numbers, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  const index = JSON.parse(await fs.readFile(manager.indexPath, 'utf8'));
+  assert.equal(Object.keys(index.items).length, 10);
+  assert.equal(index.next_adr_seq, 11);
+}, 'vce-journal-'));
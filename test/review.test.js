@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { base, withManager } from './helpers.js';
+
+test('a decision without reviewers needs one named approval to be accepted', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'solo', title: 'Solo' });
+
+  await assert.rejects(manager.updateStatus('solo', 'ACCEPTED'), { code: 'E_CONFLICT', message: /0 of 1 required approvals/ });
+  await assert.rejects(manager.review('solo', 'approve', {}), { code: 'E_INVALID' });
+
+  const review = await manager.review('solo', 'approve', { reviewer: 'bob' });
+  assert.equal(review.quorum, 1);
+  assert.equal(review.can_accept, true);
+  assert.equal((await manager.updateStatus('solo', 'ACCEPTED')).status, 'ACCEPTED');
+}, 'vce-review-'));
+
+test('review.quorum: 0 lets decisions be accepted unreviewed', () => withManager(async ({ dir, manager }) => {
+  await fs.mkdir(path.join(dir, '.vce'), { recursive: true });
+  await fs.writeFile(path.join(dir, '.vce', 'config.json'), JSON.stringify({ review: { quorum: 0 } }));
+  await manager.create({ ...base, id: 'ungated', title: 'Ungated' });
+
+  assert.equal((await manager.updateStatus('ungated', 'ACCEPTED')).status, 'ACCEPTED');
+}, 'vce-review-'));
+
+test('every assigned reviewer must approve, and only assigned reviewers count', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'pair', title: 'Pair', reviewers: ['alice', 'bob'] });
+
+  await assert.rejects(manager.review('pair', 'approve', { reviewer: 'mallory' }), { code: 'E_INVALID' });
+  const first = await manager.review('pair', 'approve', { reviewer: 'alice' });
+  assert.deepEqual(first.pending, ['bob']);
+  await assert.rejects(manager.updateStatus('pair', 'ACCEPTED'), { code: 'E_CONFLICT', message: /1 of 2/ });
+
+  await manager.review('pair', 'request_changes', { reviewer: 'bob', comment: 'needs numbers' });
+  await assert.rejects(manager.updateStatus('pair', 'ACCEPTED'), { code: 'E_CONFLICT', message: /bob/ });
+
+  const second = await manager.review('pair', 'approve', { reviewer: 'bob' });
+  assert.equal(second.can_accept, true);
+  assert.equal((await manager.updateStatus('pair', 'ACCEPTED')).status, 'ACCEPTED');
+}, 'vce-review-'));
+
+test('a substantive edit outdates the reviews given so far', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'edited', title: 'Edited', reviewers: ['alice'] });
+  await manager.review('edited', 'approve', { reviewer: 'alice' });
+
+  await manager.update({ id: 'edited', tags: ['infra'] });
+  assert.equal(manager.reviewState(await manager.get('edited')).met, true);
+
+  const update = await manager.update({ id: 'edited', decision: 'Something else' });
+  assert.equal(update.outdated_reviews, 1);
+  await assert.rejects(manager.updateStatus('edited', 'ACCEPTED'), { code: 'E_CONFLICT' });
+
+  await manager.review('edited', 'approve', { reviewer: 'alice' });
+  assert.equal((await manager.updateStatus('edited', 'ACCEPTED')).status, 'ACCEPTED');
+}, 'vce-review-'));
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { AidlManager } from '../src/aidl-manager.js';
+import { base, tempManager } from './helpers.js';
+
+test('terms named like object properties are indexed without side effects', async () => {
+  const { dir, manager } = await tempManager('vce-search-');
+  try {
+    await manager.create({ ...base, id: 'proto_term', title: 'Guard __proto__ keys', context: 'Parsers must reject __proto__' });
+    await manager.create({ ...base, id: 'ctor_term', title: 'Call the constructor', context: 'The constructor runs once' });
+    // Builds the index, then indexes the next record incrementally
+    assert.equal((await manager.detailSearch('constructor')).items.length, 1);
+    await manager.create({ ...base, id: 'later', title: 'Later', context: 'hasOwnProperty and __proto__ again' });
+
+    assert.equal(({}).proto_term, undefined);
+    assert.equal(({}).later, undefined);
+
+    const proto = await manager.detailSearch('__proto__');
+    assert.deepEqual(proto.items.map(item => item.id).sort(), ['later', 'proto_term']);
+    assert.deepEqual(proto.items.find(item => item.id === 'later').matched_fields, ['context']);
+
+    // A fresh manager reads the index back from disk
+    const reloaded = new AidlManager(path.join(dir, '.vce'));
+    assert.deepEqual((await reloaded.detailSearch('constructor')).items.map(item => item.id), ['ctor_term']);
+    assert.deepEqual((await reloaded.detailSearch('hasownproperty')).items.map(item => item.id), ['later']);
+    assert.equal((await reloaded.detailSearch('__proto__')).items.length, 2);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a write only rewrites the shard of the changed record', async () => {
+  const { dir, manager } = await tempManager('vce-search-');
+  try {
+    await manager.create({ ...base, id: 'first', title: 'First', context: 'postgres' });
+    await manager.detailSearch('postgres');
+    const shardsDir = path.join(dir, '.vce', 'aidl', 'search');
+    const before = (await fs.stat(path.join(shardsDir, 'first.json'))).mtimeMs;
+
+    await manager.create({ ...base, id: 'second', title: 'Second', context: 'postgres replicas' });
+    await manager.update({ id: 'second', rationale: 'cheaper' });
+
+    assert.equal((await fs.stat(path.join(shardsDir, 'first.json'))).mtimeMs, before);
+    const shard = JSON.parse(await fs.readFile(path.join(shardsDir, 'second.json'), 'utf8'));
+    assert.equal(shard.context, undefined);
+    assert.deepEqual((await manager.detailSearch('cheaper')).items.map(item => item.id), ['second']);
+    assert.match((await manager.detailSearch('replicas')).items[0].result, /\*\*replicas\*\*/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { AidlManager } from '../src/aidl-manager.js';
+import { accept, base, withManager } from './helpers.js';
+
+test('the default transition table allows only the listed status changes', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'flow', title: 'Flow' });
+
+  await assert.rejects(manager.updateStatus('flow', 'FINISHED'), { code: 'E_CONFLICT', message: /from PROPOSED to FINISHED \(allowed: ACCEPTED, REJECTED\)/ });
+  await assert.rejects(manager.updateStatus('flow', 'SUPERSEDED'), { code: 'E_INVALID', message: /aidl_supersede/ });
+  await assert.rejects(manager.updateStatus('flow', 'DONE'), { code: 'E_INVALID' });
+
+  await manager.updateStatus('flow', 'REJECTED');
+  await manager.updateStatus('flow', 'PROPOSED');
+  await accept(manager, 'flow');
+  await manager.updateStatus('flow', 'FINISHED');
+  await assert.rejects(manager.updateStatus('flow', 'ACCEPTED'), { code: 'E_CONFLICT', message: /allowed: none/ });
+  await assert.rejects(manager.updateStatus('missing', 'ACCEPTED'), { code: 'E_NOT_FOUND' });
+}, 'vce-status-'));
+
+test('a superseded decision cannot change status', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'old_way', title: 'Old way' });
+  await manager.create({ ...base, id: 'new_way', title: 'New way' });
+  await accept(manager, 'new_way');
+  await manager.supersede('old_way', 'new_way');
+
+  await assert.rejects(manager.updateStatus('old_way', 'PROPOSED'), { code: 'E_CONFLICT', message: /superseded/ });
+}, 'vce-status-'));
+
+test('every status change is recorded in the status history', () => withManager(async ({ dir, manager }) => {
+  await manager.create({ ...base, id: 'tracked', title: 'Tracked', author: 'carol' });
+  await manager.updateStatus('tracked', 'REJECTED', { author: 'dave', reason: 'Too costly' });
+  await manager.updateStatus('tracked', 'PROPOSED', { author: 'dave' });
+
+  // Read back through a fresh manager so that the history comes from disk
+  const { status_history: history } = await new AidlManager(path.join(dir, '.vce')).get('tracked');
+  assert.deepEqual(history.map(({ from, to, author, reason }) => ({ from, to, author, reason })), [
+    { from: null, to: 'PROPOSED', author: 'carol', reason: 'Created' },
+    { from: 'PROPOSED', to: 'REJECTED', author: 'dave', reason: 'Too costly' },
+    { from: 'REJECTED', to: 'PROPOSED', author: 'dave', reason: '' }
+  ]);
+  assert.ok(history.every(entry => !Number.isNaN(Date.parse(entry.timestamp))));
+}, 'vce-status-'));
+
+test('status_transitions in the project config overrides the defaults', () => withManager(async ({ dir, manager }) => {
+  const configPath = path.join(dir, '.vce', 'config.json');
+  await fs.mkdir(path.dirname(configPath), { recursive: true });
+  await fs.writeFile(configPath, JSON.stringify({ review: { quorum: 0 }, status_transitions: { FINISHED: ['ACCEPTED'], REJECTED: [] } }));
+
+  await manager.create({ ...base, id: 'reopened', title: 'Reopened' });
+  await manager.updateStatus('reopened', 'ACCEPTED');
+  await manager.updateStatus('reopened', 'FINISHED');
+  assert.equal((await manager.updateStatus('reopened', 'ACCEPTED')).status, 'ACCEPTED');
+
+  await manager.create({ ...base, id: 'final', title: 'Final' });
+  await manager.updateStatus('final', 'REJECTED');
+  await assert.rejects(manager.updateStatus('final', 'PROPOSED'), { code: 'E_CONFLICT' });
+
+  await fs.writeFile(configPath, JSON.stringify({ status_transitions: { PROPOSED: ['DONE'] } }));
+  await assert.rejects(manager.updateStatus('final', 'PROPOSED'), { code: 'E_INVALID', message: /status_transitions/ });
+}, 'vce-status-'));
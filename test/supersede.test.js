@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { accept, base, withManager } from './helpers.js';
+
+test('superseding a record missing from the index asks for an index rebuild', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'old_way', title: 'Old way' });
+  await manager.create({ ...base, id: 'new_way', title: 'New way' });
+  await accept(manager, 'new_way');
+
+  const index = JSON.parse(await fs.readFile(manager.indexPath, 'utf8'));
+  delete index.items.old_way;
+  await fs.writeFile(manager.indexPath, JSON.stringify(index));
+
+  await assert.rejects(manager.supersede('old_way', 'new_way'), { code: 'E_INVALID', message: /aidl_doctor/ });
+  await assert.rejects(manager.supersede('no_such', 'new_way'), { code: 'E_NOT_FOUND' });
+}, 'vce-supersede-'));
+
+test('only an open decision can supersede another', () => withManager(async ({ manager }) => {
+  await manager.create({ ...base, id: 'first', title: 'First' });
+  await manager.create({ ...base, id: 'second', title: 'Second' });
+  await manager.create({ ...base, id: 'third', title: 'Third' });
+  await accept(manager, 'second');
+  await accept(manager, 'third');
+
+  await assert.rejects(manager.supersede('first', 'first'), { code: 'E_INVALID' });
+  const superseded = await manager.supersede('first', 'second');
+  assert.equal(superseded.status, 'SUPERSEDED');
+
+  await manager.supersede('second', 'third');
+  await assert.rejects(manager.supersede('third', 'second'), { code: 'E_CONFLICT' });
+}, 'vce-supersede-'));